@@ -1,17 +1,33 @@
+const Expr = require('./Expr');
+const Stmt = require('./Stmt');
+const Token = require('./Token');
+
 /**
  * A class that acts as a Visitor to produce an unambiguous,
  * parenthesized string representation of an AST(Abstract Syntax Tree).
+ * Every expression and statement node is covered, so it can print whole
+ * programs, e.g. to debug the Parser.
  */
 class AstPrinter {
   /**
    * The main method to start the printing process.
-   * @param {Expr} expr The root expression of the AST to print.
+   * @param {Expr | Stmt} node The root of the AST to print.
+   * @returns {string}
+   */
+  print(node) {
+    return node.accept(this);
+  }
+
+  /**
+   * Prints a whole program, one top-level statement per line.
+   * @param {Stmt[]} statements The program's statements.
    * @returns {string}
    */
-  print(expr) {
-    return expr.accept(this);
+  printProgram(statements) {
+    return statements.map((statement) => this.print(statement)).join("\n");
   }
 
+  // Expressions:
   visitBinaryExpr(expr) {
     return this.parenthesize(expr.operator.lexeme, expr.left, expr.right);
   }
@@ -22,6 +38,8 @@ class AstPrinter {
 
   visitLiteralExpr(expr) {
     if (expr.value === null) return "nil";
+    // Strings are quoted so that "1" and 1 print differently.
+    if (typeof expr.value === 'string') return JSON.stringify(expr.value);
     return String(expr.value);
   }
 
@@ -33,21 +51,173 @@ class AstPrinter {
     return this.parenthesize("?:", expr.condition, expr.thenBranch, expr.elseBranch);
   }
 
+  visitVariableExpr(expr) {
+    return expr.name.lexeme;
+  }
+
+  visitAssignExpr(expr) {
+    return this.parenthesize("=", expr.name, expr.value);
+  }
+
+  visitCallExpr(expr) {
+    return this.parenthesize("call", expr.callee, ...expr.arguments);
+  }
+
+  visitGetExpr(expr) {
+    return this.parenthesize(".", expr.object, expr.name);
+  }
+
+  visitSetExpr(expr) {
+    return this.parenthesize("set", expr.object, expr.name, expr.value);
+  }
+
+  visitThisExpr() {
+    return "this";
+  }
+
+  visitSuperExpr(expr) {
+    return this.parenthesize("super", expr.method);
+  }
+
+  visitLambdaExpr(expr) {
+    return this.parenthesize("fun", this.parameters(expr.params), ...expr.body);
+  }
+
+  visitListExpr(expr) {
+    return this.parenthesize("list", ...expr.elements);
+  }
+
+  visitMapExpr(expr) {
+    const entries = expr.keys.map((key, i) => this.parenthesize(":", key, expr.values[i]));
+    return this.parenthesize("map", ...entries);
+  }
+
+  visitIndexExpr(expr) {
+    return this.parenthesize("index", expr.object, expr.index);
+  }
+
+  visitIndexSetExpr(expr) {
+    return this.parenthesize("set-index", expr.object, expr.index, expr.value);
+  }
+
+  // Statements:
+  visitExpressionStmt(stmt) {
+    return this.parenthesize(";", stmt.expression);
+  }
+
+  visitPrintStmt(stmt) {
+    return this.parenthesize("print", stmt.expression);
+  }
+
+  visitVariableStmt(stmt) {
+    if (stmt.initializer === null) return this.parenthesize("var", stmt.name);
+    return this.parenthesize("var", stmt.name, "=", stmt.initializer);
+  }
+
+  visitBlockStmt(stmt) {
+    return this.parenthesize("block", ...stmt.statements);
+  }
+
+  visitIfStmt(stmt) {
+    if (stmt.elseBranch === null) return this.parenthesize("if", stmt.condition, stmt.thenBranch);
+    return this.parenthesize("if-else", stmt.condition, stmt.thenBranch, stmt.elseBranch);
+  }
+
+  visitWhileStmt(stmt) {
+    return this.parenthesize("while", stmt.condition, stmt.body);
+  }
+
   /**
-   * A helper method to wrap an expression and its parts in parentheses.
+   * Prints a for loop. A missing clause prints as '_'.
+   * @param {Stmt.For} stmt
+   * @returns {string}
+   */
+  visitForStmt(stmt) {
+    return this.parenthesize("for",
+      stmt.initializer ?? "_", stmt.condition ?? "_", stmt.increment ?? "_", stmt.body);
+  }
+
+  visitBreakStmt() {
+    return "(break)";
+  }
+
+  visitContinueStmt() {
+    return "(continue)";
+  }
+
+  visitFunctionStmt(stmt) {
+    return this.parenthesize("fun", stmt.name, this.parameters(stmt.params), ...stmt.body);
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value === null) return "(return)";
+    return this.parenthesize("return", stmt.value);
+  }
+
+  visitClassStmt(stmt) {
+    if (stmt.superclass === null) return this.parenthesize("class", stmt.name, ...stmt.methods);
+    return this.parenthesize("class", stmt.name, "<", stmt.superclass, ...stmt.methods);
+  }
+
+  visitImportStmt(stmt) {
+    if (stmt.alias === null) return this.parenthesize("import", stmt.path.lexeme);
+    return this.parenthesize("import", stmt.path.lexeme, "as", stmt.alias);
+  }
+
+  visitExportStmt(stmt) {
+    return this.parenthesize("export", stmt.declaration);
+  }
+
+  visitTryStmt(stmt) {
+    const parts = [this.parenthesize("block", ...stmt.body)];
+    if (stmt.catchBody !== null) {
+      parts.push(this.parenthesize("catch", stmt.catchName, ...stmt.catchBody));
+    }
+    if (stmt.finallyBody !== null) {
+      parts.push(this.parenthesize("finally", ...stmt.finallyBody));
+    }
+    return this.parenthesize("try", ...parts);
+  }
+
+  visitThrowStmt(stmt) {
+    return this.parenthesize("throw", stmt.value);
+  }
+
+  /**
+   * A helper method to wrap a node and its parts in parentheses.
    * @private
-   * @param {string} name The name of the operator or grouping.
-   * @param  {...Expr} exprs A list of sub-expressions to format.
+   * @param {string} name The name of the operator or node.
+   * @param {...(Expr | Stmt | Token | string)} parts Sub-nodes, name tokens or text, in order.
    * @returns {string}
    */
-  parenthesize(name, ...exprs) {
+  parenthesize(name, ...parts) {
     let result = `(${name}`;
-    for (const expr of exprs) {
-      result += ` ${expr.accept(this)}`;
+    for (const part of parts) {
+      result += ` ${this.part(part)}`;
     }
     result += ')';
     return result;
   }
+
+  /**
+   * @private
+   * @param {Expr | Stmt | Token | string} part
+   * @returns {string}
+   */
+  part(part) {
+    if (part instanceof Expr || part instanceof Stmt) return part.accept(this);
+    if (part instanceof Token) return part.lexeme;
+    return part;
+  }
+
+  /**
+   * @private
+   * @param {Token[]} params
+   * @returns {string}
+   */
+  parameters(params) {
+    return `(${params.map((param) => param.lexeme).join(" ")})`;
+  }
 }
 
-module.exports = AstPrinter;
\ No newline at end of file
+module.exports = AstPrinter;
@@ -0,0 +1,289 @@
+/**
+ * A Visitor that converts an AST into plain objects that can be written as
+ * JSON, so external tools can consume the tree. Every node has a `type`
+ * naming its class and the `span` of source code it came from; tokens are
+ * kept with their line and column.
+ *
+ * @example
+ * const json = JSON.stringify(new AstSerializer().serializeProgram(statements), null, 2);
+ */
+class AstSerializer {
+  /**
+   * Serializes a single node.
+   * @param {Expr | Stmt} node
+   * @returns {object}
+   */
+  serialize(node) {
+    return node.accept(this);
+  }
+
+  /**
+   * Serializes a whole program.
+   * @param {Stmt[]} statements The program's statements.
+   * @returns {{ type: "Program", body: object[] }}
+   */
+  serializeProgram(statements) {
+    return { type: "Program", body: this.list(statements) };
+  }
+
+  // Expressions:
+  visitBinaryExpr(expr) {
+    return this.node("Binary", expr, {
+      left: this.serialize(expr.left),
+      operator: this.token(expr.operator),
+      right: this.serialize(expr.right)
+    });
+  }
+
+  visitGroupingExpr(expr) {
+    return this.node("Grouping", expr, { expression: this.serialize(expr.expression) });
+  }
+
+  visitLiteralExpr(expr) {
+    return this.node("Literal", expr, { value: expr.value });
+  }
+
+  visitUnaryExpr(expr) {
+    return this.node("Unary", expr, {
+      operator: this.token(expr.operator),
+      right: this.serialize(expr.right)
+    });
+  }
+
+  visitTernaryExpr(expr) {
+    return this.node("Ternary", expr, {
+      condition: this.serialize(expr.condition),
+      thenBranch: this.serialize(expr.thenBranch),
+      elseBranch: this.serialize(expr.elseBranch)
+    });
+  }
+
+  visitVariableExpr(expr) {
+    return this.node("Variable", expr, { name: this.token(expr.name) });
+  }
+
+  visitAssignExpr(expr) {
+    return this.node("Assign", expr, {
+      name: this.token(expr.name),
+      value: this.serialize(expr.value)
+    });
+  }
+
+  visitCallExpr(expr) {
+    return this.node("Call", expr, {
+      callee: this.serialize(expr.callee),
+      arguments: this.list(expr.arguments)
+    });
+  }
+
+  visitGetExpr(expr) {
+    return this.node("Get", expr, {
+      object: this.serialize(expr.object),
+      name: this.token(expr.name)
+    });
+  }
+
+  visitSetExpr(expr) {
+    return this.node("Set", expr, {
+      object: this.serialize(expr.object),
+      name: this.token(expr.name),
+      value: this.serialize(expr.value)
+    });
+  }
+
+  visitThisExpr(expr) {
+    return this.node("This", expr, {});
+  }
+
+  visitSuperExpr(expr) {
+    return this.node("Super", expr, { method: this.token(expr.method) });
+  }
+
+  visitLambdaExpr(expr) {
+    return this.node("Lambda", expr, {
+      params: expr.params.map((param) => this.token(param)),
+      body: this.list(expr.body)
+    });
+  }
+
+  visitListExpr(expr) {
+    return this.node("List", expr, { elements: this.list(expr.elements) });
+  }
+
+  visitMapExpr(expr) {
+    return this.node("Map", expr, {
+      entries: expr.keys.map((key, i) => ({ key: this.serialize(key), value: this.serialize(expr.values[i]) }))
+    });
+  }
+
+  visitIndexExpr(expr) {
+    return this.node("Index", expr, {
+      object: this.serialize(expr.object),
+      index: this.serialize(expr.index)
+    });
+  }
+
+  visitIndexSetExpr(expr) {
+    return this.node("IndexSet", expr, {
+      object: this.serialize(expr.object),
+      index: this.serialize(expr.index),
+      value: this.serialize(expr.value)
+    });
+  }
+
+  // Statements:
+  visitExpressionStmt(stmt) {
+    return this.node("Expression", stmt, { expression: this.serialize(stmt.expression) });
+  }
+
+  visitPrintStmt(stmt) {
+    return this.node("Print", stmt, { expression: this.serialize(stmt.expression) });
+  }
+
+  visitVariableStmt(stmt) {
+    return this.node("Var", stmt, {
+      name: this.token(stmt.name),
+      initializer: this.optional(stmt.initializer)
+    });
+  }
+
+  visitBlockStmt(stmt) {
+    return this.node("Block", stmt, { statements: this.list(stmt.statements) });
+  }
+
+  visitIfStmt(stmt) {
+    return this.node("If", stmt, {
+      condition: this.serialize(stmt.condition),
+      thenBranch: this.serialize(stmt.thenBranch),
+      elseBranch: this.optional(stmt.elseBranch)
+    });
+  }
+
+  visitWhileStmt(stmt) {
+    return this.node("While", stmt, {
+      condition: this.serialize(stmt.condition),
+      body: this.serialize(stmt.body)
+    });
+  }
+
+  visitForStmt(stmt) {
+    return this.node("For", stmt, {
+      initializer: this.optional(stmt.initializer),
+      condition: this.optional(stmt.condition),
+      increment: this.optional(stmt.increment),
+      body: this.serialize(stmt.body)
+    });
+  }
+
+  visitBreakStmt(stmt) {
+    return this.node("Break", stmt, {});
+  }
+
+  visitContinueStmt(stmt) {
+    return this.node("Continue", stmt, {});
+  }
+
+  visitFunctionStmt(stmt) {
+    return this.node("Function", stmt, {
+      name: this.token(stmt.name),
+      params: stmt.params.map((param) => this.token(param)),
+      body: this.list(stmt.body)
+    });
+  }
+
+  visitReturnStmt(stmt) {
+    return this.node("Return", stmt, { value: this.optional(stmt.value) });
+  }
+
+  visitClassStmt(stmt) {
+    return this.node("Class", stmt, {
+      name: this.token(stmt.name),
+      superclass: this.optional(stmt.superclass),
+      methods: this.list(stmt.methods)
+    });
+  }
+
+  visitImportStmt(stmt) {
+    return this.node("Import", stmt, {
+      path: stmt.path.literal,
+      alias: stmt.alias === null ? null : this.token(stmt.alias)
+    });
+  }
+
+  visitExportStmt(stmt) {
+    return this.node("Export", stmt, { declaration: this.serialize(stmt.declaration) });
+  }
+
+  visitTryStmt(stmt) {
+    return this.node("Try", stmt, {
+      body: this.list(stmt.body),
+      catchName: stmt.catchName === null ? null : this.token(stmt.catchName),
+      catchBody: stmt.catchBody === null ? null : this.list(stmt.catchBody),
+      finallyBody: stmt.finallyBody === null ? null : this.list(stmt.finallyBody)
+    });
+  }
+
+  visitThrowStmt(stmt) {
+    return this.node("Throw", stmt, { value: this.serialize(stmt.value) });
+  }
+
+  // Helpers:
+  /**
+   * @private
+   * @param {string} type The node's class name.
+   * @param {Expr | Stmt} node
+   * @param {object} fields The node's serialized children.
+   * @returns {object}
+   */
+  node(type, node, fields) {
+    return { type, span: this.span(node.span), ...fields };
+  }
+
+  /**
+   * @private
+   * @param {Span | null} span
+   * @returns {object | null}
+   */
+  span(span) {
+    if (span === null) return null;
+    return {
+      start: span.start,
+      end: span.end,
+      line: span.line,
+      column: span.column,
+      endLine: span.endLine,
+      endColumn: span.endColumn
+    };
+  }
+
+  /**
+   * @private
+   * @param {Token} token
+   * @returns {{ lexeme: string, line: number, column: number }}
+   */
+  token(token) {
+    return { lexeme: token.lexeme, line: token.line, column: token.column };
+  }
+
+  /**
+   * Serializes a list of nodes. Statements that failed to parse are left as
+   * null, like AstPrinter prints them.
+   * @private
+   * @param {(Expr | Stmt | null)[]} nodes
+   * @returns {(object | null)[]}
+   */
+  list(nodes) {
+    return nodes.map((node) => this.optional(node));
+  }
+
+  /**
+   * @private
+   * @param {Expr | Stmt | null} node
+   * @returns {object | null}
+   */
+  optional(node) {
+    return node === null ? null : this.serialize(node);
+  }
+}
+
+module.exports = AstSerializer;
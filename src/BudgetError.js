@@ -0,0 +1,32 @@
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+const Span = require('./Span');
+
+/**
+ * Raised when a script goes over one of the execution limits given to the
+ * interpreter. Scripts can't catch it, so a host running untrusted code can
+ * rely on it to stop the program.
+ */
+class BudgetError extends RuntimeError {
+  /**
+   * @param {Token | Span | null} location Where execution stopped: the statement about to
+   *   run, or the token of the operation that allocated too much.
+   * @param {string} reason Which limit was exceeded.
+   * @param {number} steps How many statements had been executed.
+   */
+  constructor(location, reason, steps) {
+    const span = location === null || location instanceof Span ? location : Span.fromToken(location);
+    const line = span === null ? null : span.line;
+    const where = line === null ? "" : ` at line ${line}`;
+    super(
+      location instanceof Span ? null : location,
+      `Execution budget exceeded: ${reason} (stopped${where} after ${steps} statements).`,
+      ErrorCode.BUDGET_EXCEEDED
+    );
+    this.span = span;
+    this.line = line;
+    this.steps = steps;
+  }
+}
+
+module.exports = BudgetError;
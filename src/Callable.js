@@ -10,14 +10,34 @@ class Callable {
     throw new Error("Subclasses must implement the 'arity' method.");
   }
 
+  /**
+   * Returns the smallest number of arguments the function accepts.
+   * Defaults to `arity()` for callables that take a fixed number of arguments.
+   * @returns {number}
+   */
+  minArity() {
+    return this.arity();
+  }
+
+  /**
+   * Returns the largest number of arguments the function accepts,
+   * which is `Infinity` for variadic functions.
+   * Defaults to `arity()` for callables that take a fixed number of arguments.
+   * @returns {number}
+   */
+  maxArity() {
+    return this.arity();
+  }
+
   /**
    * Executes the callable's logic.
    * @param {Interpreter} interpreter The interpreter instance.
    * @param {any[]} args The list of evaluated argument values.
+   * @param {Token} paren The closing parenthesis of the call, used for error reporting.
    */
-  call(_interpreter, _args) {
+  call(_interpreter, _args, _paren) {
     throw new Error("Subclasses must implement the 'call' method.");
   }
 }
 
-module.exports = Callable;
\ No newline at end of file
+module.exports = Callable;
@@ -0,0 +1,69 @@
+const Callable = require('./Callable');
+const Instance = require('./Instance');
+
+/**
+ * The runtime representation of a class. Calling a class
+ * creates a new instance of it.
+ */
+class Class extends Callable {
+  /**
+   * @param {string} name The class's name.
+   * @param {Class | null} superclass The class this one inherits from, if any.
+   * @param {Map<string, Function>} methods The methods declared in the class body.
+   */
+  constructor(name, superclass, methods) {
+    super();
+    this.name = name;
+    this.superclass = superclass;
+    this.methods = methods;
+  }
+
+  /**
+   * Looks up a method by name, walking up the inheritance chain.
+   * @param {string} name The method's name.
+   * @returns {Function | null}
+   */
+  findMethod(name) {
+    if (this.methods.has(name)) {
+      return this.methods.get(name);
+    }
+
+    if (this.superclass !== null) {
+      return this.superclass.findMethod(name);
+    }
+
+    return null;
+  }
+
+  /**
+   * A class takes as many arguments as its initializer, if it has one.
+   * @returns {number}
+   */
+  arity() {
+    const initializer = this.findMethod("init");
+    if (initializer === null) return 0;
+    return initializer.arity();
+  }
+
+  /**
+   * Creates a new instance and runs the initializer on it.
+   * @param {Interpreter} interpreter The interpreter instance.
+   * @param {any[]} args The list of evaluated argument values.
+   * @param {Token} paren The closing parenthesis of the call.
+   * @returns {Instance}
+   */
+  call(interpreter, args, paren) {
+    const instance = new Instance(this);
+    const initializer = this.findMethod("init");
+    if (initializer !== null) {
+      initializer.bind(instance).call(interpreter, args, paren);
+    }
+    return instance;
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+module.exports = Class;
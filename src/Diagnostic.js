@@ -0,0 +1,74 @@
+/**
+ * A problem found in a program, by any phase from the Scanner to the Interpreter,
+ * described in a way that can be rendered against the source code.
+ */
+class Diagnostic {
+  /**
+   * @param {string} severity Either "error" or "warning".
+   * @param {string} code The diagnostic code, one of the values in ErrorCode.
+   * @param {string} message The main message.
+   * @param {Span | null} span The region of source code the problem is about.
+   * @param {string[]} [help=[]] Extra hints shown below the source excerpt.
+   * @param {string[]} [trace=[]] For runtime errors, the function calls that led
+   *   to the error, innermost first, e.g. "at fib (line 4)".
+   */
+  constructor(severity, code, message, span, help = [], trace = []) {
+    this.severity = severity;
+    this.code = code;
+    this.message = message;
+    this.span = span;
+    this.help = help;
+    this.trace = trace;
+  }
+
+  /**
+   * Finds the candidate that is closest to a misspelled word, if any is close enough
+   * to be a plausible typo.
+   * @param {string} word The word that was not found.
+   * @param {Iterable<string>} candidates The known words.
+   * @returns {string | null}
+   */
+  static closestMatch(word, candidates) {
+    const maxDistance = Math.max(1, Math.floor(word.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      if (candidate === word) continue;
+      const distance = editDistance(word, candidate);
+      if (distance <= maxDistance && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Computes the Damerau-Levenshtein distance between two strings (the optimal
+ * string alignment variant), where swapping two adjacent letters is one edit.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = Diagnostic;
@@ -0,0 +1,130 @@
+const ANSI = Object.freeze({
+  reset:  '\x1b[0m',
+  bold:   '\x1b[1m',
+  red:    '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue:   '\x1b[34m',
+  cyan:   '\x1b[36m'
+});
+
+/**
+ * Tracebacks longer than this only show their first and last frames.
+ */
+const MAX_TRACE_FRAMES = 20;
+
+/**
+ * Turns diagnostics into human-readable text: a header with the error code,
+ * the location, the offending source line and a `^~~~` underline below it.
+ *
+ *   error[E0301]: Undefined variable 'cuont'.
+ *    --> script.oxe:3:7
+ *     |
+ *   3 | print cuont;
+ *     |       ^~~~~
+ *     = help: did you mean `count`?
+ *
+ * Runtime errors raised inside functions end with a traceback of the calls
+ * that led to them, innermost first.
+ */
+class DiagnosticRenderer {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.color=false] Whether to decorate the output with ANSI colors.
+   */
+  constructor({ color = false } = {}) {
+    this.color = color;
+  }
+
+  /**
+   * Renders a single diagnostic.
+   * @param {Diagnostic} diagnostic The diagnostic to render.
+   * @param {string} source The full source code the diagnostic's span points into.
+   * @param {string | null} [fileName=null] The name to show in the location line.
+   * @returns {string}
+   */
+  render(diagnostic, source, fileName = null) {
+    const severityColor = diagnostic.severity === "warning" ? ANSI.yellow : ANSI.red;
+    const lines = [];
+    lines.push(
+      this.paint(`${diagnostic.severity}[${diagnostic.code}]`, ANSI.bold + severityColor) +
+      this.paint(`: ${diagnostic.message}`, ANSI.bold)
+    );
+
+    const span = diagnostic.span;
+    if (span === null) {
+      for (const help of diagnostic.help) {
+        lines.push(`${this.paint("=", ANSI.blue)} ${this.paint("help", ANSI.bold + ANSI.cyan)}: ${help}`);
+      }
+      return lines.join("\n");
+    }
+
+    const sourceLines = source.split("\n");
+    const lineText = (sourceLines[span.line - 1] ?? "").replace(/\r$/, "");
+    const gutter = " ".repeat(String(span.line).length);
+    const location = `${fileName ?? "<script>"}:${span.line}:${span.column}`;
+
+    lines.push(`${gutter}${this.paint("-->", ANSI.blue)} ${location}`);
+    lines.push(`${gutter} ${this.paint("|", ANSI.blue)}`);
+    lines.push(`${this.paint(String(span.line), ANSI.blue)} ${this.paint("|", ANSI.blue)} ${lineText}`);
+    lines.push(`${gutter} ${this.paint("|", ANSI.blue)} ${this.underline(span, lineText, severityColor)}`);
+
+    for (const help of diagnostic.help) {
+      lines.push(`${gutter} ${this.paint("=", ANSI.blue)} ${this.paint("help", ANSI.bold + ANSI.cyan)}: ${help}`);
+    }
+
+    if (diagnostic.trace.length > 0) {
+      lines.push(`${gutter} ${this.paint("=", ANSI.blue)} ${this.paint("traceback", ANSI.bold)}:`);
+      for (const frame of this.shortenTrace(diagnostic.trace)) {
+        lines.push(`${gutter}     ${frame}`);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Keeps the first and last frames of a very long traceback, such as the one
+   * left by runaway recursion.
+   * @private
+   * @param {string[]} trace
+   * @returns {string[]}
+   */
+  shortenTrace(trace) {
+    if (trace.length <= MAX_TRACE_FRAMES) return trace;
+    const half = MAX_TRACE_FRAMES / 2;
+    const hidden = trace.length - MAX_TRACE_FRAMES;
+    return [...trace.slice(0, half), `... ${hidden} more calls ...`, ...trace.slice(-half)];
+  }
+
+  /**
+   * Builds the `^~~~` marker under the span. Spans that continue past the
+   * end of the line are underlined up to the end of the line.
+   * @private
+   * @param {Span} span
+   * @param {string} lineText The text of the line the span starts on.
+   * @param {string} color
+   * @returns {string}
+   */
+  underline(span, lineText, color) {
+    // Keep tabs in the padding so the marker lines up with the source line.
+    const padding = lineText.slice(0, span.column - 1).replace(/[^\t]/g, " ");
+    const lineEnd = lineText.length + 1;
+    const end = span.endLine === span.line ? Math.min(span.endColumn, lineEnd) : lineEnd;
+    const width = Math.max(1, end - span.column);
+    return padding + this.paint("^" + "~".repeat(width - 1), ANSI.bold + color);
+  }
+
+  /**
+   * Wraps text in an ANSI style when colors are enabled.
+   * @private
+   * @param {string} text
+   * @param {string} style
+   * @returns {string}
+   */
+  paint(text, style) {
+    if (!this.color) return text;
+    return `${style}${text}${ANSI.reset}`;
+  }
+}
+
+module.exports = DiagnosticRenderer;
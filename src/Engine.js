@@ -0,0 +1,393 @@
+const fs = require('fs');
+
+const Scanner = require('./Scanner');
+const Parser = require('./Parser');
+const Resolver = require('./Resolver');
+const Optimizer = require('./Optimizer');
+const Formatter = require('./Formatter');
+const Linter = require('./Linter');
+const Interpreter = require('./Interpreter');
+const VM = require('./vm/VM');
+const Module = require('./Module');
+const NativeFunction = require('./NativeFunction');
+const TokenType = require('./TokenType');
+const Token = require('./Token');
+const Span = require('./Span');
+const ErrorCode = require('./ErrorCode');
+const Diagnostic = require('./Diagnostic');
+const DiagnosticRenderer = require('./DiagnosticRenderer');
+
+/**
+ * @typedef {object} RunResult
+ * @property {boolean} ok Whether the program compiled and ran without errors.
+ * @property {Diagnostic[]} diagnostics Every problem reported during the run, compile-time
+ *   ones first, followed by the runtime error if there was one.
+ * @property {RuntimeError | null} runtimeError The error that stopped execution, if any.
+ * @property {string} output Everything the program printed during this run.
+ */
+
+/**
+ * @typedef {object} InspectResult
+ * @property {boolean} ok Whether the source compiled without errors.
+ * @property {Token[]} tokens Every token scanned, ending with EOF.
+ * @property {Stmt[]} statements The syntax tree. Statements the Parser couldn't make sense of are missing.
+ * @property {Diagnostic[]} diagnostics Every compile-time problem found.
+ */
+
+/**
+ * @typedef {object} FormatResult
+ * @property {boolean} ok Whether the source parsed without errors.
+ * @property {string} output The formatted source, or the source unchanged if there were errors.
+ * @property {Diagnostic[]} diagnostics Every syntax error found.
+ */
+
+/**
+ * @typedef {object} LintResult
+ * @property {boolean} ok Whether the source compiled and no finding is an error.
+ * @property {Diagnostic[]} diagnostics Every compile-time problem, or every finding of the Linter.
+ */
+
+/**
+ * An isolated Oxente interpreter that can be embedded in a host program.
+ * Each engine has its own global scope, which persists across calls to `run`,
+ * so it can also back a REPL. Imported modules are cached per engine.
+ */
+class Engine {
+  /**
+   * @param {object} [options]
+   * @param {{ write: function(string): void } | null} [options.stdout=null] Also receives
+   *   the program's output as it is printed. Output is always captured in the result.
+   * @param {{ write: function(string): void } | null} [options.stderr=null] Receives
+   *   rendered diagnostics as they are reported.
+   * @param {Object<string, any>} [options.globals={}] Extra global variables. JavaScript
+   *   functions are exposed as native functions taking as many arguments as they declare;
+   *   use `defineNative` for variadic functions or argument type checks.
+   * @param {boolean} [options.color=false] Whether diagnostics written to `stderr` use ANSI colors.
+   * @param {boolean} [options.strictMaps=false] Whether reading a missing map key is a runtime error.
+   * @param {number | null} [options.randomSeed=null] The initial seed for `random`, to make runs deterministic.
+   * @param {{ root: string, readOnly?: boolean } | null} [options.fileSystem=null] The directory
+   *   scripts may read and write with the file natives, and import modules from.
+   *   File access is denied when not set.
+   * @param {function(): (string | null)} [options.readLine] Supplies lines to `input`.
+   *   Defaults to reading standard input.
+   * @param {number} [options.maxCallDepth=500] How many function calls can be nested
+   *   before scripts fail with a "Stack overflow" error.
+   * @param {ExecutionLimits} [options.limits={}] Limits on the statements, time, list sizes and
+   *   string lengths of each run. Going over one fails the run with a BudgetError.
+   * @param {"interpreter" | "vm"} [options.backend="interpreter"] Whether programs are run by
+   *   walking the syntax tree or compiled to bytecode for the virtual machine. Both behave the same.
+   * @param {boolean} [options.optimize=false] Whether programs are simplified by the Optimizer
+   *   before they run.
+   */
+  constructor(options = {}) {
+    this.stdout = options.stdout ?? null;
+    this.stderr = options.stderr ?? null;
+    this.renderer = new DiagnosticRenderer({ color: options.color ?? false });
+    this.optimize = options.optimize ?? false;
+
+    /**
+     * The source of every file compiled so far, so diagnostics raised inside
+     * imported modules can quote the right file.
+     * @type {Map<string | null, string>}
+     */
+    this.sources = new Map();
+    this.fileName = null;
+    this.diagnostics = [];
+    this.hadError = false;
+    this.runtimeErrorValue = null;
+    this.output = "";
+
+    this.interpreter = new Interpreter((error) => this.reportRuntimeError(error), {
+      strictMaps: options.strictMaps ?? false,
+      randomSeed: options.randomSeed ?? null,
+      fileSystem: options.fileSystem ?? null,
+      readLine: options.readLine,
+      maxCallDepth: options.maxCallDepth,
+      limits: options.limits,
+      loadModule: (location) => this.loadModule(location),
+      stdout: { write: (text) => this.write(text) }
+    });
+
+    const backend = options.backend ?? "interpreter";
+    if (backend !== "interpreter" && backend !== "vm") {
+      throw new Error(`Unknown backend '${backend}'.`);
+    }
+    /**
+     * Runs programs when the "vm" backend is selected. It shares the interpreter's globals.
+     * @type {VM | null}
+     */
+    this.vm = backend === "vm" ? new VM(this.interpreter) : null;
+
+    for (const [name, value] of Object.entries(options.globals ?? {})) {
+      this.define(name, value);
+    }
+  }
+
+  /**
+   * Defines a global variable visible to every script run by this engine.
+   * @param {string} name The variable's name.
+   * @param {any} value The value, converted with `NativeFunction.fromHost`: functions
+   *   become native functions and plain objects become maps, also inside lists and maps.
+   * @throws {TypeError} If the value holds something scripts can't use, like a `Date`.
+   */
+  define(name, value) {
+    this.interpreter.defineBuiltin(name, NativeFunction.fromHost(value, name));
+  }
+
+  /**
+   * Exposes a JavaScript function to scripts, with argument count and type checking.
+   * @param {string} name The name the function is exposed under.
+   * @param {NativeSpec} spec See NativeFunction.
+   *
+   * @example
+   * oxente.defineNative("sum", { minArity: 1, maxArity: Infinity, params: ["number"],
+   *   fn: (...numbers) => numbers.reduce((a, b) => a + b) });
+   */
+  defineNative(name, spec) {
+    this.interpreter.defineNative(name, spec);
+  }
+
+  /**
+   * Scans, parses, resolves and executes a piece of source code.
+   * @param {string} source The source code to execute.
+   * @param {string | null} [fileName=null] The name shown in diagnostics.
+   * @returns {RunResult}
+   */
+  run(source, fileName = null) {
+    this.fileName = fileName;
+    this.diagnostics = [];
+    this.hadError = false;
+    this.runtimeErrorValue = null;
+    this.output = "";
+
+    const statements = this.compile(source, fileName);
+    if (statements !== null) {
+      (this.vm ?? this.interpreter).interpret(statements);
+    }
+
+    return {
+      ok: !this.hadError && this.runtimeErrorValue === null,
+      diagnostics: this.diagnostics,
+      runtimeError: this.runtimeErrorValue,
+      output: this.output
+    };
+  }
+
+  /**
+   * Reads a file and runs it.
+   * @param {string} path The path of the script.
+   * @returns {RunResult}
+   */
+  runFile(path) {
+    const source = fs.readFileSync(path, 'utf8');
+    return this.run(source, path);
+  }
+
+  /**
+   * Scans, parses and resolves source code without running it, so the tokens
+   * and the syntax tree can be inspected. The tree is optimized when the
+   * engine optimizes programs.
+   * @param {string} source The source code.
+   * @param {string | null} [fileName=null] The name shown in diagnostics.
+   * @returns {InspectResult}
+   */
+  inspect(source, fileName = null) {
+    this.fileName = fileName;
+    this.diagnostics = [];
+    this.hadError = false;
+
+    const { tokens, statements } = this.analyze(source, fileName);
+    return {
+      ok: !this.hadError,
+      tokens,
+      statements: this.hadError ? statements : this.prepare(statements),
+      diagnostics: this.diagnostics
+    };
+  }
+
+  /**
+   * Formats source code with the Formatter's canonical layout, keeping its comments.
+   * Only syntax errors stop a file from being formatted; the code is not resolved.
+   * @param {string} source The source code.
+   * @param {string | null} [fileName=null] The name shown in diagnostics.
+   * @returns {FormatResult}
+   */
+  format(source, fileName = null) {
+    this.fileName = fileName;
+    this.diagnostics = [];
+    this.hadError = false;
+    this.sources.set(fileName, source);
+    const reporter = (location, message, code) => this.reportError(location, message, code);
+
+    const tokens = new Scanner(source, reporter, fileName, { keepComments: true }).scanTokens();
+    const statements = new Parser(tokens, reporter).parse();
+    return {
+      ok: !this.hadError,
+      output: this.hadError ? source : new Formatter(source, tokens).format(statements),
+      diagnostics: this.diagnostics
+    };
+  }
+
+  /**
+   * Checks source code with the Linter. Compile errors are reported instead
+   * of findings when there are any.
+   * @param {string} source The source code.
+   * @param {string | null} [fileName=null] The name shown in diagnostics.
+   * @param {Object<string, "off" | "warning" | "error">} [rules={}] The level of each rule, see Linter.
+   * @returns {LintResult}
+   * @throws {Error} If a rule or level is unknown.
+   */
+  lint(source, fileName = null, rules = {}) {
+    const linter = new Linter(rules);
+    this.fileName = fileName;
+    this.diagnostics = [];
+    this.hadError = false;
+
+    const { tokens, statements } = this.analyze(source, fileName, { keepComments: true });
+    if (!this.hadError) {
+      for (const diagnostic of linter.lint(statements, tokens)) {
+        this.report(diagnostic);
+      }
+    }
+    return {
+      ok: this.diagnostics.every((diagnostic) => diagnostic.severity !== "error"),
+      diagnostics: this.diagnostics
+    };
+  }
+
+  /**
+   * Scans, parses, resolves and, when enabled, optimizes a piece of source code, reporting any errors.
+   * @private
+   * @param {string} source The source code.
+   * @param {string | null} fileName The name shown in diagnostics.
+   * @returns {Stmt[] | null} The statements ready to run, or null if there were errors.
+   */
+  compile(source, fileName) {
+    const { statements } = this.analyze(source, fileName);
+    return this.hadError ? null : this.prepare(statements);
+  }
+
+  /**
+   * Scans, parses and resolves a piece of source code, reporting any errors.
+   * @private
+   * @param {string} source The source code.
+   * @param {string | null} fileName The name shown in diagnostics.
+   * @param {object} [scanOptions={}] Options for the Scanner.
+   * @returns {{ tokens: Token[], statements: Stmt[] }} The statements are incomplete if there were errors.
+   */
+  analyze(source, fileName, scanOptions = {}) {
+    this.sources.set(fileName, source);
+    const reporter = (location, message, code) => this.reportError(location, message, code);
+
+    const scanner = new Scanner(source, reporter, fileName, scanOptions);
+    const tokens = scanner.scanTokens();
+
+    const parser = new Parser(tokens, reporter);
+    const statements = parser.parse();
+
+    if (!this.hadError) {
+      const resolver = new Resolver(this.interpreter, reporter);
+      resolver.resolve(statements);
+    }
+    return { tokens, statements };
+  }
+
+  /**
+   * Optimizes resolved statements when the engine is set up to.
+   * @private
+   * @param {Stmt[]} statements Statements without errors.
+   * @returns {Stmt[]}
+   */
+  prepare(statements) {
+    if (!this.optimize) return statements;
+
+    // Errors are reported on the code as written, even inside branches the Optimizer removes.
+    const optimized = new Optimizer(this.interpreter).optimize(statements);
+    new Resolver(this.interpreter, () => {}).resolve(optimized);
+    return optimized;
+  }
+
+  /**
+   * Compiles an imported module for the interpreter.
+   * @private
+   * @param {string} location The module's absolute path.
+   * @returns {Stmt[]}
+   */
+  loadModule(location) {
+    let source;
+    try {
+      source = fs.readFileSync(location, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        throw new Error("no such file.");
+      }
+      throw error;
+    }
+
+    const statements = this.compile(source, Module.displayName(location));
+    if (statements === null) {
+      throw new Error("the module has errors.");
+    }
+    return statements;
+  }
+
+  /**
+   * Reports a compile-time error found by the Scanner, Parser or Resolver.
+   * @private
+   * @param {Token | Span} location The offending token, or the span of an invalid lexeme.
+   * @param {string} message The error message.
+   * @param {string} code The diagnostic code from ErrorCode.
+   */
+  reportError(location, message, code) {
+    if (location instanceof Token) {
+      if (location.type === TokenType.EOF) {
+        message = `${message} (found end of file)`;
+      }
+      location = Span.fromToken(location);
+    }
+
+    this.hadError = true;
+    this.report(new Diagnostic("error", code, message, location));
+  }
+
+  /**
+   * Reports the runtime error that stopped execution.
+   * @private
+   * @param {RuntimeError} error
+   */
+  reportRuntimeError(error) {
+    this.runtimeErrorValue = error;
+    const span = error.span ?? Span.fromToken(error.token);
+    const trace = (error.callStack ?? []).map(({ name, token }) => {
+      const location = token.file === this.fileName ? `line ${token.line}` : `${token.file}, line ${token.line}`;
+      return `at ${name} (${location})`;
+    });
+    this.report(new Diagnostic("error", error.code ?? ErrorCode.RUNTIME, error.message, span, error.help, trace));
+  }
+
+  /**
+   * @private
+   * @param {Diagnostic} diagnostic
+   */
+  report(diagnostic) {
+    this.diagnostics.push(diagnostic);
+    if (this.stderr !== null) {
+      const fileName = diagnostic.span === null ? this.fileName : diagnostic.span.file;
+      const source = this.sources.get(fileName) ?? "";
+      this.stderr.write(this.renderer.render(diagnostic, source, fileName) + "\n");
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} text
+   */
+  write(text) {
+    this.output += text;
+    if (this.stdout !== null) {
+      this.stdout.write(text);
+    }
+  }
+}
+
+module.exports = Engine;
@@ -1,5 +1,8 @@
 const RuntimeError = require('./RuntimeError');
 const Token = require('./Token');
+const ErrorCode = require('./ErrorCode');
+const Diagnostic = require('./Diagnostic');
+const Scanner = require('./Scanner');
 
 /**
  * The Environment class keeps track of variable bindings.
@@ -12,6 +15,12 @@ class Environment {
   constructor(enclosing = null) {
     this.enclosing = enclosing;
     this.values = new Map();
+    /**
+     * The outermost environment of the chain. Every module has its own, so code
+     * always sees the globals of the file it was written in.
+     * @type {Environment}
+     */
+    this.globals = enclosing === null ? this : enclosing.globals;
   }
 
   /**
@@ -27,18 +36,20 @@ class Environment {
    * Retrieves the value bound to a variable's name.
    * Throws a runtime error if the variable is not defined.
    * @param {Token} name The token for the variable's name.
+   * @param {Map<Token, string[]>} [localNames] The local names in scope at references
+   *   to globals, from the Resolver, to suggest one of them in the error.
    * @returns {any} The value of the variable.
    */
-  get(name) {
+  get(name, localNames) {
     if (this.values.has(name.lexeme)) {
       return this.values.get(name.lexeme);
     }
 
     if (this.enclosing !== null) {
-      return this.enclosing.get(name);
+      return this.enclosing.get(name, localNames);
     }
 
-    throw new RuntimeError(name, `Undefined variable '${name.lexeme}'.`);
+    throw this.undefinedVariable(name, localNames);
   }
 
   /**
@@ -46,19 +57,83 @@ class Environment {
    * Throws a runtime error if the variable is not defined.
    * @param {Token} name The token for the variable's name.
    * @param {any} value The new value.
+   * @param {Map<Token, string[]>} [localNames] As for `get`.
    */
-  assign(name, value) {
+  assign(name, value, localNames) {
     if (this.values.has(name.lexeme)) {
       this.values.set(name.lexeme, value);
       return;
     }
 
     if (this.enclosing !== null) {
-      this.enclosing.assign(name, value);
+      this.enclosing.assign(name, value, localNames);
       return;
     }
     
-    throw new RuntimeError(name, `Undefined variable '${name.lexeme}'.`);
+    throw this.undefinedVariable(name, localNames);
+  }
+
+  /**
+   * Lists every name visible from this environment, innermost first.
+   * @returns {string[]}
+   */
+  names() {
+    const names = [...this.values.keys()];
+    if (this.enclosing !== null) {
+      names.push(...this.enclosing.names());
+    }
+    return names;
+  }
+
+  /**
+   * Builds the error for a name that isn't defined, suggesting a visible
+   * variable or keyword with a similar spelling when there is one.
+   * @private
+   * @param {Token} name The token for the variable's name.
+   * @param {Map<Token, string[]>} [localNames] The local names in scope at references to globals.
+   * @returns {RuntimeError}
+   */
+  undefinedVariable(name, localNames) {
+    const error = new RuntimeError(name, `Undefined variable '${name.lexeme}'.`, ErrorCode.UNDEFINED_VARIABLE);
+    const candidates = [...(localNames?.get(name) ?? []), ...this.names(), ...Object.keys(Scanner.keywords)];
+    const suggestion = Diagnostic.closestMatch(name.lexeme, candidates);
+    if (suggestion !== null) {
+      error.help.push(`did you mean \`${suggestion}\`?`);
+    }
+    return error;
+  }
+
+  /**
+   * Walks a fixed number of steps up the chain of enclosing environments.
+   * @param {number} distance How many environments to walk up.
+   * @returns {Environment}
+   */
+  ancestor(distance) {
+    let environment = this;
+    for (let i = 0; i < distance; i++) {
+      environment = environment.enclosing;
+    }
+    return environment;
+  }
+
+  /**
+   * Retrieves a variable the Resolver already located at a known distance.
+   * @param {number} distance How many environments away the variable lives.
+   * @param {string} name The variable's name.
+   * @returns {any}
+   */
+  getAt(distance, name) {
+    return this.ancestor(distance).values.get(name);
+  }
+
+  /**
+   * Assigns to a variable the Resolver already located at a known distance.
+   * @param {number} distance How many environments away the variable lives.
+   * @param {Token} name The token for the variable's name.
+   * @param {any} value The new value.
+   */
+  assignAt(distance, name, value) {
+    this.ancestor(distance).values.set(name.lexeme, value);
   }
 }
 
@@ -0,0 +1,43 @@
+/**
+ * An object that acts as an enum for the codes attached to every diagnostic.
+ * The first digit after the 'E' tells which phase found the problem:
+ * 0 for the Scanner, 1 for the Parser, 2 for the Resolver, 3 for the Interpreter
+ * and 4 for the Linter.
+ */
+const ErrorCode = Object.freeze({
+  // Lexical errors.
+  UNEXPECTED_CHARACTER: 'E0001',
+  UNTERMINATED_STRING:  'E0002',
+  UNTERMINATED_COMMENT: 'E0003',
+
+  // Syntax errors.
+  SYNTAX: 'E0100',
+
+  // Resolution errors.
+  RESOLUTION: 'E0200',
+
+  // Runtime errors.
+  RUNTIME:            'E0300',
+  UNDEFINED_VARIABLE: 'E0301',
+  UNDEFINED_PROPERTY: 'E0302',
+  TYPE_MISMATCH:      'E0303',
+  DIVISION_BY_ZERO:   'E0304',
+  ARITY_MISMATCH:     'E0305',
+  NOT_CALLABLE:       'E0306',
+  INDEX_OUT_OF_RANGE: 'E0307',
+  IMPORT_FAILED:      'E0308',
+  UNCAUGHT_EXCEPTION: 'E0309',
+  STACK_OVERFLOW:     'E0310',
+  BUDGET_EXCEEDED:    'E0311',
+
+  // Lint findings, one code per rule.
+  UNUSED_VARIABLE:         'E0400',
+  UNUSED_PARAMETER:        'E0401',
+  SHADOWED_NAME:           'E0402',
+  ASSIGNMENT_IN_CONDITION: 'E0403',
+  UNREACHABLE_CODE:        'E0404',
+  CALL_ARITY:              'E0405',
+  MISMATCHED_COMPARISON:   'E0406'
+});
+
+module.exports = ErrorCode;
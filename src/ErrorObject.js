@@ -0,0 +1,34 @@
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * The value a 'catch' clause receives for an error raised by the interpreter,
+ * e.g. a division by zero. Scripts can read its `message` and `line`.
+ */
+class ErrorObject {
+  /**
+   * @param {RuntimeError} error The caught error.
+   */
+  constructor(error) {
+    this.error = error;
+  }
+
+  /**
+   * Reads a property of the error.
+   * @param {Token} name The token for the property's name.
+   * @returns {any}
+   */
+  get(name) {
+    switch (name.lexeme) {
+      case "message": return this.error.message;
+      case "line": return this.error.token.line;
+    }
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`, ErrorCode.UNDEFINED_PROPERTY);
+  }
+
+  toString() {
+    return `Error: ${this.error.message}`;
+  }
+}
+
+module.exports = ErrorObject;
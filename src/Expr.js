@@ -3,6 +3,14 @@
  * We don't instantiate this directly, but instead extend it.
  */
 class Expr {
+  constructor() {
+    /**
+     * The region of source code this expression was parsed from, filled in by the Parser.
+     * @type {Span | null}
+     */
+    this.span = null;
+  }
+
   /**
    * The base 'accept' method for the Visitor pattern.
    * This forces subclasses to implement their own version.
@@ -22,6 +30,15 @@ class Visitor {
   visitVariableExpr(_expr) { throw new Error("Method not implemented."); }
   visitAssignExpr(_expr) { throw new Error("Method not implemented."); }
   visitCallExpr(_expr) { throw new Error("Method not implemented."); }
+  visitGetExpr(_expr) { throw new Error("Method not implemented."); }
+  visitSetExpr(_expr) { throw new Error("Method not implemented."); }
+  visitThisExpr(_expr) { throw new Error("Method not implemented."); }
+  visitSuperExpr(_expr) { throw new Error("Method not implemented."); }
+  visitLambdaExpr(_expr) { throw new Error("Method not implemented."); }
+  visitListExpr(_expr) { throw new Error("Method not implemented."); }
+  visitIndexExpr(_expr) { throw new Error("Method not implemented."); }
+  visitIndexSetExpr(_expr) { throw new Error("Method not implemented."); }
+  visitMapExpr(_expr) { throw new Error("Method not implemented."); }
 }
 
 /**
@@ -178,6 +195,195 @@ class Call extends Expr {
   }
 }
 
+/**
+ * Represents a property access on an instance.
+ * Ex: person.name
+ */
+class Get extends Expr {
+  /**
+   * @param {Expr} object The expression that evaluates to the instance.
+   * @param {Token} name The token for the property's name.
+   */
+  constructor(object, name) {
+    super();
+    this.object = object;
+    this.name = name;
+  }
+
+  accept(visitor) {
+    return visitor.visitGetExpr(this);
+  }
+}
+
+/**
+ * Represents an assignment to a property of an instance.
+ * Ex: person.name = "Ana"
+ */
+class Set extends Expr {
+  /**
+   * @param {Expr} object The expression that evaluates to the instance.
+   * @param {Token} name The token for the property's name.
+   * @param {Expr} value The new value expression.
+   */
+  constructor(object, name, value) {
+    super();
+    this.object = object;
+    this.name = name;
+    this.value = value;
+  }
+
+  accept(visitor) {
+    return visitor.visitSetExpr(this);
+  }
+}
+
+/**
+ * Represents the 'this' keyword inside a method body.
+ */
+class This extends Expr {
+  /**
+   * @param {Token} keyword The 'this' token itself.
+   */
+  constructor(keyword) {
+    super();
+    this.keyword = keyword;
+  }
+
+  accept(visitor) {
+    return visitor.visitThisExpr(this);
+  }
+}
+
+/**
+ * Represents a method lookup on the superclass.
+ * Ex: super.greet
+ */
+class Super extends Expr {
+  /**
+   * @param {Token} keyword The 'super' token itself.
+   * @param {Token} method The token for the method's name.
+   */
+  constructor(keyword, method) {
+    super();
+    this.keyword = keyword;
+    this.method = method;
+  }
+
+  accept(visitor) {
+    return visitor.visitSuperExpr(this);
+  }
+}
+
+/**
+ * Represents an anonymous function expression.
+ * Ex: fun (a, b) { return a + b; }
+ * Ex: (a, b) => a + b
+ */
+class Lambda extends Expr {
+  /**
+   * @param {Token} keyword The 'fun' or '=>' token that introduced the function.
+   * @param {Token[]} params The list of parameter tokens.
+   * @param {Stmt[]} body The list of statements in the function's body.
+   */
+  constructor(keyword, params, body) {
+    super();
+    this.keyword = keyword;
+    this.params = params;
+    this.body = body;
+  }
+
+  accept(visitor) {
+    return visitor.visitLambdaExpr(this);
+  }
+}
+
+/**
+ * Represents a list literal.
+ * Ex: [1, 2, 3]
+ */
+class List extends Expr {
+  /**
+   * @param {Token} bracket The opening '[' token, used for error reporting.
+   * @param {Expr[]} elements The list of element expressions.
+   */
+  constructor(bracket, elements) {
+    super();
+    this.bracket = bracket;
+    this.elements = elements;
+  }
+
+  accept(visitor) {
+    return visitor.visitListExpr(this);
+  }
+}
+
+/**
+ * Represents a map literal.
+ * Ex: {"name": "Ana", "age": 30}
+ */
+class Map extends Expr {
+  /**
+   * @param {Token} brace The opening '{' token, used for error reporting.
+   * @param {Expr[]} keys The list of key expressions.
+   * @param {Expr[]} values The list of value expressions, parallel to `keys`.
+   */
+  constructor(brace, keys, values) {
+    super();
+    this.brace = brace;
+    this.keys = keys;
+    this.values = values;
+  }
+
+  accept(visitor) {
+    return visitor.visitMapExpr(this);
+  }
+}
+
+/**
+ * Represents a subscript read.
+ * Ex: list[0]
+ */
+class Index extends Expr {
+  /**
+   * @param {Expr} object The expression being subscripted.
+   * @param {Token} bracket The closing ']' token, used for error reporting.
+   * @param {Expr} index The index expression.
+   */
+  constructor(object, bracket, index) {
+    super();
+    this.object = object;
+    this.bracket = bracket;
+    this.index = index;
+  }
+
+  accept(visitor) {
+    return visitor.visitIndexExpr(this);
+  }
+}
+
+/**
+ * Represents an assignment through a subscript.
+ * Ex: list[0] = "new value"
+ */
+class IndexSet extends Expr {
+  /**
+   * @param {Expr} object The expression being subscripted.
+   * @param {Token} bracket The closing ']' token, used for error reporting.
+   * @param {Expr} index The index expression.
+   * @param {Expr} value The new value expression.
+   */
+  constructor(object, bracket, index, value) {
+    super();
+    this.object = object;
+    this.bracket = bracket;
+    this.index = index;
+    this.value = value;
+  }
+
+  accept(visitor) {
+    return visitor.visitIndexSetExpr(this);
+  }
+}
 
 Expr.Visitor  = Visitor;
 Expr.Assign   = Assign;
@@ -188,5 +394,14 @@ Expr.Unary    = Unary;
 Expr.Ternary  = Ternary;
 Expr.Variable = Variable;
 Expr.Call     = Call;
+Expr.Get      = Get;
+Expr.Set      = Set;
+Expr.This     = This;
+Expr.Super    = Super;
+Expr.Lambda   = Lambda;
+Expr.List     = List;
+Expr.Map      = Map;
+Expr.Index    = Index;
+Expr.IndexSet = IndexSet;
 
 module.exports = Expr;
\ No newline at end of file
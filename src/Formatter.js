@@ -0,0 +1,458 @@
+const Stmt = require('./Stmt');
+const TokenType = require('./TokenType');
+
+/**
+ * How much each nested block is indented.
+ */
+const INDENT = "  ";
+
+/**
+ * The Formatter turns a parsed program back into source code with a single
+ * canonical layout: two-space indentation, one statement per line, spaces
+ * around binary operators and opening braces on the same line.
+ *
+ * Comments are taken from the tokens' trivia, so the tokens must come from a
+ * Scanner that keeps comments. A comment on its own line stays on its own
+ * line before the code that followed it, and a comment at the end of a line
+ * stays at the end of that statement's line. Comments inside a statement stay
+ * before the expression, body or semicolon that followed them; a `//` comment
+ * there continues the statement on the next line, indented one level deeper:
+ *
+ *   while (ready) // comment before body
+ *     ready = nil;
+ *
+ * Comments between other parts of a statement, e.g. between a function's
+ * parameters and its body, move to the start of the next line instead. Single blank
+ * lines between statements are kept; longer runs are collapsed.
+ */
+class Formatter {
+  /**
+   * @param {string} source The source code the program was parsed from.
+   * @param {Token[]} tokens The tokens the program was parsed from, with their trivia.
+   */
+  constructor(source, tokens) {
+    this.source = source;
+    this.tokens = tokens;
+    /**
+     * Every comment in the source, in order.
+     * @type {Token[]}
+     */
+    this.comments = tokens.flatMap((token) => token.trivia ?? []);
+    /**
+     * The index of the first comment that hasn't been written yet.
+     */
+    this.nextComment = 0;
+    this.depth = 0;
+  }
+
+  /**
+   * The main entry point. Formats a whole program.
+   * @param {Stmt[]} statements The statements parsed from the source, without errors.
+   * @returns {string} The formatted source, ending with a newline unless it is empty.
+   */
+  format(statements) {
+    const text = this.statements(statements, this.source.length);
+    return text === "" ? "" : `${text}\n`;
+  }
+
+  // Statements. Each returns the statement's text: the first line without
+  // indentation, and any further lines fully indented.
+  visitExpressionStmt(stmt) {
+    return `${this.expression(stmt.expression)}${this.semicolon(stmt)}`;
+  }
+
+  visitPrintStmt(stmt) {
+    return `print ${this.expression(stmt.expression)}${this.semicolon(stmt)}`;
+  }
+
+  visitVariableStmt(stmt) {
+    const name = this.name(stmt.name);
+    if (stmt.initializer === null) return `var ${name}${this.semicolon(stmt)}`;
+    return `var ${name} = ${this.expression(stmt.initializer)}${this.semicolon(stmt)}`;
+  }
+
+  visitBlockStmt(stmt) {
+    return this.block(stmt.statements, stmt.span.end - 1);
+  }
+
+  visitIfStmt(stmt) {
+    let text = `if (${this.expression(stmt.condition)}) ${this.statement(stmt.thenBranch)}`;
+    if (stmt.elseBranch === null) return text;
+
+    // 'else' follows a closing brace, or starts a new line after a single statement.
+    text += stmt.thenBranch instanceof Stmt.Block ? " else " : `\n${this.indentation()}else `;
+    return text + this.statement(stmt.elseBranch);
+  }
+
+  visitWhileStmt(stmt) {
+    return `while (${this.expression(stmt.condition)}) ${this.statement(stmt.body)}`;
+  }
+
+  visitForStmt(stmt) {
+    const initializer = stmt.initializer === null ? ";" : this.statement(stmt.initializer);
+    const condition = stmt.condition === null ? "" : ` ${this.expression(stmt.condition)}`;
+    const increment = stmt.increment === null ? "" : ` ${this.expression(stmt.increment)}`;
+    return `for (${initializer}${condition};${increment}) ${this.statement(stmt.body)}`;
+  }
+
+  visitBreakStmt(stmt) {
+    return `break${this.semicolon(stmt)}`;
+  }
+
+  visitContinueStmt(stmt) {
+    return `continue${this.semicolon(stmt)}`;
+  }
+
+  visitFunctionStmt(stmt) {
+    return `fun ${this.method(stmt)}`;
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value === null) return `return${this.semicolon(stmt)}`;
+    return `return ${this.expression(stmt.value)}${this.semicolon(stmt)}`;
+  }
+
+  visitClassStmt(stmt) {
+    let header = `class ${stmt.name.lexeme}`;
+    if (stmt.superclass !== null) header += ` < ${stmt.superclass.name.lexeme}`;
+
+    this.depth++;
+    const methods = this.statements(stmt.methods, stmt.span.end - 1, (method) => this.method(method));
+    this.depth--;
+    if (methods === "") return `${header} {}`;
+    return `${header} {\n${methods}\n${this.indentation()}}`;
+  }
+
+  visitImportStmt(stmt) {
+    if (stmt.alias === null) return `import ${stmt.path.lexeme}${this.semicolon(stmt)}`;
+    return `import ${stmt.path.lexeme} as ${stmt.alias.lexeme}${this.semicolon(stmt)}`;
+  }
+
+  visitExportStmt(stmt) {
+    return `export ${this.statement(stmt.declaration)}`;
+  }
+
+  /**
+   * Formats a try statement. Its clauses are lists of statements rather than
+   * blocks, so the closing braces are found in the tokens.
+   * @param {Stmt.Try} stmt
+   * @returns {string}
+   */
+  visitTryStmt(stmt) {
+    // The tokens are: try { ... } catch ( name ) { ... } finally { ... }
+    let brace = this.tokens.indexOf(stmt.keyword) + 1;
+    let close = this.closingBrace(brace);
+    let text = `try ${this.block(stmt.body, this.tokens[close].start)}`;
+
+    if (stmt.catchBody !== null) {
+      brace = close + 5;
+      close = this.closingBrace(brace);
+      text += ` catch (${stmt.catchName.lexeme}) ${this.block(stmt.catchBody, this.tokens[close].start)}`;
+    }
+    if (stmt.finallyBody !== null) {
+      brace = close + 2;
+      close = this.closingBrace(brace);
+      text += ` finally ${this.block(stmt.finallyBody, this.tokens[close].start)}`;
+    }
+    return text;
+  }
+
+  visitThrowStmt(stmt) {
+    return `throw ${this.expression(stmt.value)}${this.semicolon(stmt)}`;
+  }
+
+  // Expressions. Each returns the expression's text, which only spans several
+  // lines when it contains a function body.
+  visitBinaryExpr(expr) {
+    if (expr.operator.type === TokenType.COMMA) {
+      return `${this.expression(expr.left)}, ${this.expression(expr.right)}`;
+    }
+    return `${this.expression(expr.left)} ${expr.operator.lexeme} ${this.expression(expr.right)}`;
+  }
+
+  visitGroupingExpr(expr) {
+    return `(${this.expression(expr.expression)})`;
+  }
+
+  visitLiteralExpr(expr) {
+    // Numbers and strings are written as they were, e.g. '1.50' stays '1.50'.
+    return this.source.substring(expr.span.start, expr.span.end);
+  }
+
+  visitUnaryExpr(expr) {
+    return `${expr.operator.lexeme}${this.expression(expr.right)}`;
+  }
+
+  visitTernaryExpr(expr) {
+    const condition = this.expression(expr.condition);
+    return `${condition} ? ${this.expression(expr.thenBranch)} : ${this.expression(expr.elseBranch)}`;
+  }
+
+  visitVariableExpr(expr) {
+    return expr.name.lexeme;
+  }
+
+  visitAssignExpr(expr) {
+    return `${expr.name.lexeme} = ${this.expression(expr.value)}`;
+  }
+
+  visitCallExpr(expr) {
+    return `${this.expression(expr.callee)}(${this.list(expr.arguments)})`;
+  }
+
+  visitGetExpr(expr) {
+    return `${this.expression(expr.object)}.${expr.name.lexeme}`;
+  }
+
+  visitSetExpr(expr) {
+    return `${this.expression(expr.object)}.${expr.name.lexeme} = ${this.expression(expr.value)}`;
+  }
+
+  visitThisExpr() {
+    return "this";
+  }
+
+  visitSuperExpr(expr) {
+    return `super.${expr.method.lexeme}`;
+  }
+
+  visitLambdaExpr(expr) {
+    const params = expr.params.map((param) => this.name(param)).join(", ");
+    // An arrow function's body is a single return statement made by the Parser.
+    if (expr.keyword.type === TokenType.ARROW) {
+      return `(${params}) => ${this.expression(expr.body[0].value)}`;
+    }
+    return `fun (${params}) ${this.block(expr.body, expr.span.end - 1)}`;
+  }
+
+  visitListExpr(expr) {
+    return `[${this.list(expr.elements)}]`;
+  }
+
+  visitMapExpr(expr) {
+    const entries = expr.keys.map((key, i) => `${this.expression(key)}: ${this.expression(expr.values[i])}`);
+    return `{${entries.join(", ")}}`;
+  }
+
+  visitIndexExpr(expr) {
+    return `${this.expression(expr.object)}[${this.expression(expr.index)}]`;
+  }
+
+  visitIndexSetExpr(expr) {
+    return `${this.expression(expr.object)}[${this.expression(expr.index)}] = ${this.expression(expr.value)}`;
+  }
+
+  // Helpers:
+  /**
+   * Formats a statement, after the comments written inside the enclosing
+   * statement before it, e.g. between a loop's condition and its body.
+   * @private
+   * @param {Stmt} stmt
+   * @returns {string}
+   */
+  statement(stmt) {
+    const comments = this.inlineComments(stmt.span.start);
+    if (!this.continuesLine(comments)) return comments + stmt.accept(this);
+
+    // The statement starts on the continuation line, so its block or 'else' is indented with it.
+    this.depth++;
+    const text = stmt.accept(this);
+    this.depth--;
+    return comments + text;
+  }
+
+  /**
+   * Formats an expression, after the comments written before it inside the statement.
+   * @private
+   * @param {Expr} expr
+   * @returns {string}
+   */
+  expression(expr) {
+    const comments = this.inlineComments(expr.span.start);
+    return comments + expr.accept(this);
+  }
+
+  /**
+   * Ends a statement with its semicolon, keeping the comments written before it.
+   * @private
+   * @param {Stmt} stmt
+   * @returns {string}
+   */
+  semicolon(stmt) {
+    const comments = this.inlineComments(stmt.span.end - 1);
+    if (comments === "") return ";";
+    if (this.continuesLine(comments)) return ` ${comments};`;
+    return ` ${comments.trimEnd()};`;
+  }
+
+  /**
+   * Tells whether inline comments end with a `//` comment, after which the
+   * statement continues on the next line.
+   * @private
+   * @param {string} comments The text returned by `inlineComments`.
+   * @returns {boolean}
+   */
+  continuesLine(comments) {
+    return comments.endsWith(`\n${this.indentation()}${INDENT}`);
+  }
+
+  /**
+   * Writes a declared name, after the comments written before it inside the statement.
+   * @private
+   * @param {Token} name
+   * @returns {string}
+   */
+  name(name) {
+    return this.inlineComments(name.start) + name.lexeme;
+  }
+
+  /**
+   * @private
+   * @param {Expr[]} exprs
+   * @returns {string}
+   */
+  list(exprs) {
+    return exprs.map((expr) => this.expression(expr)).join(", ");
+  }
+
+  /**
+   * Formats a list of statements at the current depth, one per line, with
+   * the comments that come before them.
+   * @private
+   * @param {(Stmt)[]} statements
+   * @param {number} end The offset where the list ends. Comments before it belong to the list.
+   * @param {function(Stmt): string} [formatOne] Formats a single statement.
+   * @returns {string}
+   */
+  statements(statements, end, formatOne = (stmt) => this.statement(stmt)) {
+    const lines = [];
+    let lastLine = null;
+    const add = (text, line, endLine) => {
+      if (lastLine !== null && line > lastLine + 1) lines.push("");
+      lines.push(this.indentation() + text);
+      lastLine = endLine;
+    };
+
+    statements.forEach((stmt, i) => {
+      for (const comment of this.commentsBefore(stmt.span.start)) {
+        add(comment.lexeme, comment.line, this.endLine(comment));
+      }
+
+      let text = formatOne(stmt);
+      const next = i + 1 < statements.length ? statements[i + 1].span.start : end;
+      const trailing = this.trailingComment(stmt.span, next);
+      if (trailing !== null) text += ` ${trailing.lexeme}`;
+      add(text, stmt.span.line, stmt.span.endLine);
+    });
+
+    for (const comment of this.commentsBefore(end)) {
+      add(comment.lexeme, comment.line, this.endLine(comment));
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Formats a braced list of statements, indented one level deeper.
+   * @private
+   * @param {Stmt[]} statements
+   * @param {number} end The offset of the closing brace.
+   * @returns {string}
+   */
+  block(statements, end) {
+    this.depth++;
+    const inner = this.statements(statements, end);
+    this.depth--;
+    if (inner === "") return "{}";
+    return `{\n${inner}\n${this.indentation()}}`;
+  }
+
+  /**
+   * Formats a function declaration without the 'fun' keyword, as methods are written.
+   * @private
+   * @param {Stmt.Function} stmt
+   * @returns {string}
+   */
+  method(stmt) {
+    const name = this.name(stmt.name);
+    const params = stmt.params.map((param) => this.name(param)).join(", ");
+    return `${name}(${params}) ${this.block(stmt.body, stmt.span.end - 1)}`;
+  }
+
+  /**
+   * Takes the comments that start before an offset and haven't been written yet.
+   * @private
+   * @param {number} offset
+   * @returns {Token[]}
+   */
+  commentsBefore(offset) {
+    const comments = [];
+    while (this.nextComment < this.comments.length && this.comments[this.nextComment].start < offset) {
+      comments.push(this.comments[this.nextComment++]);
+    }
+    return comments;
+  }
+
+  /**
+   * Takes the comments that start before an offset inside a statement and
+   * writes them inline. Each is followed by a space, or after a `//` comment,
+   * by a new line indented one level deeper.
+   * @private
+   * @param {number} offset
+   * @returns {string}
+   */
+  inlineComments(offset) {
+    return this.commentsBefore(offset).map((comment) => {
+      if (comment.lexeme.startsWith("//")) return `${comment.lexeme}\n${this.indentation()}${INDENT}`;
+      return `${comment.lexeme} `;
+    }).join("");
+  }
+
+  /**
+   * Takes the comment written right after a statement on its last line, if there is one.
+   * @private
+   * @param {Span} span The statement's span.
+   * @param {number} limit Where the next statement, or the end of the list, begins.
+   * @returns {Token | null}
+   */
+  trailingComment(span, limit) {
+    const comment = this.comments[this.nextComment];
+    if (comment === undefined || comment.start < span.end || comment.start >= limit) return null;
+    if (comment.line !== span.endLine) return null;
+    this.nextComment++;
+    return comment;
+  }
+
+  /**
+   * Finds the brace closing the one at a token index.
+   * @private
+   * @param {number} index The index of a '{' token.
+   * @returns {number} The index of the matching '}' token.
+   */
+  closingBrace(index) {
+    let depth = 0;
+    for (let i = index; i < this.tokens.length; i++) {
+      if (this.tokens[i].type === TokenType.LEFT_BRACE) depth++;
+      if (this.tokens[i].type === TokenType.RIGHT_BRACE && --depth === 0) return i;
+    }
+    return this.tokens.length - 1;
+  }
+
+  /**
+   * @private
+   * @param {Token} comment
+   * @returns {number} The line a comment ends on.
+   */
+  endLine(comment) {
+    return comment.line + comment.lexeme.split("\n").length - 1;
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  indentation() {
+    return INDENT.repeat(this.depth);
+  }
+}
+
+module.exports = Formatter;
@@ -2,19 +2,44 @@ const Environment = require('./Environment');
 const Callable = require('./Callable');
 const Interpreter = require('./Interpreter');
 const Return = require('./Return');
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * Tells whether an error is JavaScript's own "Maximum call stack size exceeded".
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isHostStackOverflow(error) {
+  // Runs with almost no stack left, so it sticks to the cheapest checks.
+  return error instanceof RangeError && error.message.includes("call stack");
+}
 
 /**
  * The runtime representation of a user-defined function.
  */
 class Function extends Callable {
   /**
-   * @param {Stmt.Function} declaration The syntax tree node for the function declaration.
+   * @param {Stmt.Function | Expr.Lambda} declaration The syntax tree node for the function declaration.
    * @param {Environment} closure The environment where the function was declared.
+   * @param {boolean} [isInitializer=false] Whether this is a class's 'init' method.
    */
-  constructor(declaration, closure) {
+  constructor(declaration, closure, isInitializer = false) {
     super();
     this.declaration = declaration;
     this.closure = closure;
+    this.isInitializer = isInitializer;
+  }
+
+  /**
+   * Creates a copy of this method whose closure binds 'this' to the given instance.
+   * @param {Instance} instance The instance the method is accessed from.
+   * @returns {Function}
+   */
+  bind(instance) {
+    const environment = new Environment(this.closure);
+    environment.define("this", instance);
+    return new Function(this.declaration, environment, this.isInitializer);
   }
 
   arity() {
@@ -25,8 +50,9 @@ class Function extends Callable {
    * Executes the function.
    * @param {Interpreter} interpreter The interpreter instance.
    * @param {any[]} args The list of evaluated argument values.
+   * @param {Token} paren The closing parenthesis of the call, recorded in the call stack.
    */
-  call(interpreter, args) {
+  call(interpreter, args, paren) {
     const environment = new Environment(this.closure); 
     
     for (let i = 0; i < this.declaration.params.length; i++) {
@@ -35,20 +61,45 @@ class Function extends Callable {
       environment.define(paramName, argumentValue);
     }
 
+    const caller = interpreter.callStack[interpreter.callStack.length - 1];
+    const weight = interpreter.checkCallDepth(paren, interpreter.callStack.length, caller?.weight ?? 0);
+
+    interpreter.callStack.push({ name: this.name(), token: paren, weight });
     try {
       interpreter.executeBlock(this.declaration.body, environment);
     } catch (returnValue) {
       if (returnValue instanceof Return) {
+        if (this.isInitializer) return this.closure.getAt(0, "this");
         return returnValue.value;
       }
+      // The host can run out of stack before the depth limit is reached.
+      if (isHostStackOverflow(returnValue)) {
+        returnValue = new RuntimeError(paren, "Stack overflow.", ErrorCode.STACK_OVERFLOW);
+      }
+      // The innermost call sees the whole stack, so it is the one that records it.
+      if (returnValue instanceof RuntimeError && returnValue.callStack === null) {
+        returnValue.callStack = [...interpreter.callStack].reverse();
+      }
       throw returnValue;
+    } finally {
+      interpreter.callStack.pop();
     }
-    
+
+    if (this.isInitializer) return this.closure.getAt(0, "this");
     return null;
   }
 
+  /**
+   * The function's declared name, or "anonymous" for lambdas.
+   * @returns {string}
+   */
+  name() {
+    if (this.declaration.name === undefined) return "anonymous";
+    return this.declaration.name.lexeme;
+  }
+
   toString() {
-    return `<fn ${this.declaration.name.lexeme}>`;
+    return `<fn ${this.name()}>`;
   }
 }
 
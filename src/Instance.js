@@ -0,0 +1,48 @@
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * The runtime representation of an instance of a class.
+ * Each instance holds its own set of fields.
+ */
+class Instance {
+  /**
+   * @param {Class} klass The class this is an instance of.
+   */
+  constructor(klass) {
+    this.klass = klass;
+    this.fields = new Map();
+  }
+
+  /**
+   * Reads a property. Fields shadow methods with the same name.
+   * Throws a runtime error if the property does not exist.
+   * @param {Token} name The token for the property's name.
+   * @returns {any}
+   */
+  get(name) {
+    if (this.fields.has(name.lexeme)) {
+      return this.fields.get(name.lexeme);
+    }
+
+    const method = this.klass.findMethod(name.lexeme);
+    if (method !== null) return method.bind(this);
+
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`, ErrorCode.UNDEFINED_PROPERTY);
+  }
+
+  /**
+   * Writes a field, creating it if it doesn't exist yet.
+   * @param {Token} name The token for the property's name.
+   * @param {any} value The new value.
+   */
+  set(name, value) {
+    this.fields.set(name.lexeme, value);
+  }
+
+  toString() {
+    return `${this.klass.name} instance`;
+  }
+}
+
+module.exports = Instance;
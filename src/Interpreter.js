@@ -1,42 +1,186 @@
+const path = require('path');
+
 const TokenType = require('./TokenType');
 const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
 const Stmt = require('./Stmt');
 const Environment = require('./Environment');
 const Callable = require('./Callable');
+const NativeFunction = require('./NativeFunction');
 const Function = require('./Function');
+const Class = require('./Class');
+const Instance = require('./Instance');
+const Module = require('./Module');
+const ErrorObject = require('./ErrorObject');
+const Thrown = require('./Thrown');
+const BudgetError = require('./BudgetError');
 const Return = require('./Return');
+const installStringLibrary = require('./stdlib/StringLibrary');
+const installMathLibrary = require('./stdlib/MathLibrary');
+const installIoLibrary = require('./stdlib/IoLibrary');
 
 /**
  * This is used just to report a break statement that is not inside a loop.
  */
 class BreakInterrupt extends Error {}
 
+/**
+ * Thrown by a continue statement to skip the rest of the current loop iteration.
+ */
+class ContinueInterrupt extends Error {}
+
+/**
+ * @typedef {object} ExecutionLimits
+ * @property {number} [maxSteps=Infinity] How many statements a run may execute.
+ * @property {number} [maxTime=Infinity] How many milliseconds a run may take.
+ * @property {number} [maxListSize=Infinity] How many elements a list may have.
+ * @property {number} [maxStringLength=Infinity] How many characters a string may have.
+ */
+
+/**
+ * How many statements run between two checks of the clock.
+ */
+const TIME_CHECK_INTERVAL = 1024;
+
+/**
+ * The most stack weight the calls in progress can have, see checkCallDepth.
+ * Walking the tree uses host stack for every statement and expression a call
+ * is nested in, and the default host stack holds about 2100 of those levels;
+ * this leaves room for the host's own frames.
+ */
+const MAX_STACK_WEIGHT = 1500;
+
 /**
  * The Interpreter walks the AST and evaluates expressions to produce a final value.
  */
 class Interpreter {
   /**
    * @param {function(RuntimeError): void} runtimeErrorReporter
+   * @param {object} [options]
+   * @param {boolean} [options.strictMaps=false] Whether reading a missing map key is a
+   *   runtime error instead of producing nil.
+   * @param {{ write: function(string): void }} [options.stdout=process.stdout] Where
+   *   'print' statements write to.
+   * @param {number | null} [options.randomSeed=null] The initial seed for the 'random'
+   *   native, to make scripts that use it deterministic.
+   * @param {{ root: string, readOnly?: boolean } | null} [options.fileSystem=null] The directory
+   *   the file natives and imports may access. File access is denied when this is not set.
+   * @param {function(): (string | null)} [options.readLine] Supplies lines to the 'input'
+   *   native. Defaults to reading standard input.
+   * @param {function(string): Stmt[]} [options.loadModule] Reads, parses and resolves the
+   *   module at an absolute path, throwing an Error whose message explains any failure.
+   *   Imports fail when this is not set.
+   * @param {number} [options.maxCallDepth=500] How many user function calls can be
+   *   nested before a "Stack overflow" error is raised. Calls nested deep inside
+   *   statements and expressions can raise it sooner, see checkCallDepth.
+   * @param {ExecutionLimits} [options.limits={}] Limits for running untrusted scripts.
+   *   Going over one raises a BudgetError, which scripts can't catch.
    */
-  constructor(runtimeErrorReporter) {
+  constructor(runtimeErrorReporter, options = {}) {
     this.runtimeError = runtimeErrorReporter;
+    this.strictMaps = options.strictMaps ?? false;
+    this.stdout = options.stdout ?? process.stdout;
+    this.maxCallDepth = options.maxCallDepth ?? 500;
+    this.limits = {
+      maxSteps: options.limits?.maxSteps ?? Infinity,
+      maxTime: options.limits?.maxTime ?? Infinity,
+      maxListSize: options.limits?.maxListSize ?? Infinity,
+      maxStringLength: options.limits?.maxStringLength ?? Infinity
+    };
+    /**
+     * How many statements the current run has executed, and when it must end.
+     */
+    this.steps = 0;
+    this.deadline = Infinity;
+    /**
+     * Set once a limit is exceeded, so that no more script code runs, not even finally clauses.
+     * @type {BudgetError | null}
+     */
+    this.budgetError = null;
     this.globals = new Environment();
     this.environment = this.globals;
+    /**
+     * Everything defined by the host and the standard library, copied into
+     * the global environment of every module.
+     * @type {Map<string, any>}
+     */
+    this.builtins = new Map();
+    this.loadModule = options.loadModule ?? (() => {
+      throw new Error("imports are not available here.");
+    });
+    /**
+     * Modules that already ran, by absolute path.
+     * @type {Map<string, Module>}
+     */
+    this.modules = new Map();
+    /**
+     * The absolute paths of the modules currently running, outermost first.
+     * @type {string[]}
+     */
+    this.importStack = [];
+    /**
+     * The user function calls currently running, outermost first.
+     * @type {{ name: string, token: Token, weight: number }[]}
+     */
+    this.callStack = [];
+    /**
+     * How many statements and expressions each call is nested in inside its
+     * function, counting the call, by the call's closing parenthesis. Filled
+     * in by the Resolver.
+     * @type {Map<Token, number>}
+     */
+    this.callNesting = new Map();
+    /**
+     * The local names in scope at each reference to a global inside a function or
+     * block, by the reference's token, to suggest when the global isn't defined.
+     * Filled in by the Resolver.
+     * @type {Map<Token, string[]>}
+     */
+    this.localNames = new Map();
+    /**
+     * The scope depth of every local variable reference, filled in by the Resolver.
+     * @type {Map<Expr, number>}
+     */
+    this.locals = new Map();
+    /**
+     * Natives that can be called as methods on strings, e.g. `"abc".upper()`.
+     * @type {Map<string, NativeFunction>}
+     */
+    this.stringMethods = new Map();
 
     // Define a native 'clock' function.
-    this.globals.define("clock", new class extends Callable {
-      arity() {
-        return 0;
-      }
+    this.defineNative("clock", { arity: 0, fn: () => Date.now() / 1000.0 });
+    installStringLibrary(this);
+    installMathLibrary(this, options.randomSeed ?? null);
+    installIoLibrary(this, { fileSystem: options.fileSystem ?? null, readLine: options.readLine });
+    /**
+     * Checks that a script may read a path, so imports stay inside the same
+     * root as the file natives.
+     * @type {function(string, boolean, string=): string}
+     */
+    this.authorizeFile = installIoLibrary.createAuthorizer(options.fileSystem ?? null);
+  }
 
-      call(_interpreter, _args) {
-        return Date.now() / 1000.0;
-      }
+  /**
+   * Exposes a JavaScript function to scripts as a global native function.
+   * @param {string} name The name the function is exposed under.
+   * @param {NativeSpec} spec The function's implementation, arity and parameter types.
+   * @returns {NativeFunction}
+   */
+  defineNative(name, spec) {
+    const native = new NativeFunction(name, spec);
+    this.defineBuiltin(name, native);
+    return native;
+  }
 
-      toString() {
-        return "<native fn>";
-      }
-    }());
+  /**
+   * Defines a global variable that is also visible inside every imported module.
+   * @param {string} name The variable's name.
+   * @param {any} value The value to bind.
+   */
+  defineBuiltin(name, value) {
+    this.builtins.set(name, value);
+    this.globals.define(name, value);
   }
 
   /**
@@ -44,6 +188,7 @@ class Interpreter {
    * @param {Stmt[]} statements The list of statements to execute.
    */
   interpret(statements) {
+    this.beginRun();
     try {
       for (const statement of statements) {
         this.execute(statement);
@@ -57,6 +202,43 @@ class Interpreter {
     }
   }
 
+  /**
+   * Resets the execution budget at the start of a run.
+   */
+  beginRun() {
+    this.steps = 0;
+    this.deadline = Date.now() + this.limits.maxTime;
+    this.budgetError = null;
+  }
+
+  /**
+   * Records how many environments away the variable referenced by an expression lives.
+   * Called by the Resolver.
+   * @param {Expr} expr The expression referencing the variable.
+   * @param {number} depth The number of environments between the reference and the declaration.
+   */
+  resolve(expr, depth) {
+    this.locals.set(expr, depth);
+  }
+
+  /**
+   * Records how deeply a call is nested inside its function. Called by the Resolver.
+   * @param {Token} paren The closing parenthesis of the call.
+   * @param {number} nesting The number of statements and expressions around the call, counting it.
+   */
+  resolveCall(paren, nesting) {
+    this.callNesting.set(paren, nesting);
+  }
+
+  /**
+   * Records the local names in scope at a reference to a global variable. Called by the Resolver.
+   * @param {Token} name The token for the variable's name.
+   * @param {string[]} names The local names, innermost first.
+   */
+  resolveGlobal(name, names) {
+    this.localNames.set(name, names);
+  }
+
   // Statement execution methods:
   /**
    * Handles a function declaration statement.
@@ -69,6 +251,60 @@ class Interpreter {
     return null;
   }
 
+  /**
+   * Handles a class declaration statement.
+   * @param {Stmt.Class} stmt The class statement node.
+   */
+  visitClassStmt(stmt) {
+    let superclass = null;
+    if (stmt.superclass !== null) {
+      superclass = this.evaluate(stmt.superclass);
+      if (!(superclass instanceof Class)) {
+        throw new RuntimeError(stmt.superclass.name, "Superclass must be a class.", ErrorCode.TYPE_MISMATCH);
+      }
+    }
+
+    this.environment.define(stmt.name.lexeme, null);
+
+    if (stmt.superclass !== null) {
+      this.environment = new Environment(this.environment);
+      this.environment.define("super", superclass);
+    }
+
+    const methods = new Map();
+    for (const method of stmt.methods) {
+      const func = new Function(method, this.environment, method.name.lexeme === "init");
+      methods.set(method.name.lexeme, func);
+    }
+
+    const klass = new Class(stmt.name.lexeme, superclass, methods);
+
+    if (superclass !== null) {
+      this.environment = this.environment.enclosing;
+    }
+
+    this.environment.assign(stmt.name, klass);
+    return null;
+  }
+
+  visitImportStmt(stmt) {
+    const module = this.importModule(stmt.keyword, stmt.path.literal);
+
+    if (stmt.alias !== null) {
+      this.environment.define(stmt.alias.lexeme, module);
+    } else {
+      for (const name of module.exports) {
+        this.environment.define(name, module.environment.values.get(name));
+      }
+    }
+    return null;
+  }
+
+  visitExportStmt(stmt) {
+    this.execute(stmt.declaration);
+    return null;
+  }
+
   visitVariableStmt(stmt) {
     let value = null;
     if (stmt.initializer !== null) {
@@ -90,7 +326,7 @@ class Interpreter {
   visitWhileStmt(stmt) {
     try {
       while (this.isTruthy(this.evaluate(stmt.condition))) {
-        this.execute(stmt.body);
+        this.executeLoopBody(stmt.body);
       }
     } catch (error) {
       if (!(error instanceof BreakInterrupt)) {
@@ -100,10 +336,67 @@ class Interpreter {
     return null;
   }
 
+  visitForStmt(stmt) {
+    const previous = this.environment;
+    try {
+      // The loop gets its own scope, so the initializer's variable is local to it.
+      this.environment = new Environment(previous);
+      if (stmt.initializer !== null) this.execute(stmt.initializer);
+
+      while (stmt.condition === null || this.isTruthy(this.evaluate(stmt.condition))) {
+        this.executeLoopBody(stmt.body);
+        if (stmt.increment !== null) this.evaluate(stmt.increment);
+      }
+    } catch (error) {
+      if (!(error instanceof BreakInterrupt)) {
+        throw error;
+      }
+    } finally {
+      this.environment = previous;
+    }
+    return null;
+  }
+
+  /**
+   * Runs a try statement. Only runtime errors are caught; 'return', 'break' and
+   * 'continue' pass through the catch clause, but still run the finally clause.
+   * @param {Stmt.Try} stmt The try statement node.
+   */
+  visitTryStmt(stmt) {
+    try {
+      this.executeBlock(stmt.body, new Environment(this.environment));
+    } catch (error) {
+      if (!(error instanceof RuntimeError) || error instanceof BudgetError || stmt.catchBody === null) {
+        throw error;
+      }
+
+      const environment = new Environment(this.environment);
+      const caught = error instanceof Thrown ? error.value : new ErrorObject(error);
+      environment.define(stmt.catchName.lexeme, caught);
+      this.executeBlock(stmt.catchBody, environment);
+    } finally {
+      if (stmt.finallyBody !== null && this.budgetError === null) {
+        this.executeBlock(stmt.finallyBody, new Environment(this.environment));
+      }
+    }
+    return null;
+  }
+
+  visitThrowStmt(stmt) {
+    const value = this.evaluate(stmt.value);
+    // Rethrowing a caught interpreter error keeps its original location and message.
+    if (value instanceof ErrorObject) throw value.error;
+    throw new Thrown(stmt.keyword, value, this.stringify(value));
+  }
+
   visitBreakStmt() {
     throw new BreakInterrupt();
   }
 
+  visitContinueStmt() {
+    throw new ContinueInterrupt();
+  }
+
   visitIfStmt(stmt) {
     if (this.isTruthy(this.evaluate(stmt.condition))) {
       this.execute(stmt.thenBranch);
@@ -125,7 +418,7 @@ class Interpreter {
   
   visitPrintStmt(stmt) {
     const value = this.evaluate(stmt.expression);
-    console.log(this.stringify(value));
+    this.stdout.write(this.stringify(value) + "\n");
     return null;
   }
 
@@ -136,26 +429,100 @@ class Interpreter {
       args.push(this.evaluate(argument));
     }
 
-    if (!(callee instanceof Callable)) {
-      throw new RuntimeError(expr.paren, "Can only call functions and classes.");
+    this.checkCall(expr.paren, callee, args.length);
+    return this.checkAllocation(expr.paren, callee.call(this, args, expr.paren));
+  }
+  
+  // Expression evaluation methods:
+  visitGetExpr(expr) {
+    const object = this.evaluate(expr.object);
+    return this.getProperty(object, expr.name);
+  }
+
+  visitSetExpr(expr) {
+    const object = this.evaluate(expr.object);
+    this.checkFieldTarget(expr.name, object);
+
+    const value = this.evaluate(expr.value);
+    object.set(expr.name, value);
+    return value;
+  }
+
+  visitListExpr(expr) {
+    const elements = [];
+    for (const element of expr.elements) {
+      elements.push(this.evaluate(element));
     }
+    return this.checkAllocation(expr.bracket, elements);
+  }
 
-    if (args.length !== callee.arity()) {
-      throw new RuntimeError(expr.paren, `Expected ${callee.arity()} arguments but got ${args.length}.`);
+  visitMapExpr(expr) {
+    const map = new Map();
+    for (let i = 0; i < expr.keys.length; i++) {
+      const key = this.evaluate(expr.keys[i]);
+      this.checkMapKey(expr.brace, key);
+      map.set(key, this.evaluate(expr.values[i]));
     }
+    return map;
+  }
 
-    return callee.call(this, args);
+  visitIndexExpr(expr) {
+    const object = this.evaluate(expr.object);
+    const index = this.evaluate(expr.index);
+    return this.getIndex(expr.bracket, object, index);
   }
-  
-  // Expression evaluation methods:
+
+  visitIndexSetExpr(expr) {
+    const object = this.evaluate(expr.object);
+    const index = this.evaluate(expr.index);
+    this.checkIndexTarget(expr.bracket, object, index);
+
+    const value = this.evaluate(expr.value);
+    if (Array.isArray(object)) {
+      object[index] = value;
+    } else {
+      object.set(index, value);
+    }
+    return value;
+  }
+
+  visitLambdaExpr(expr) {
+    return new Function(expr, this.environment);
+  }
+
+  visitThisExpr(expr) {
+    return this.lookUpVariable(expr.keyword, expr);
+  }
+
+  visitSuperExpr(expr) {
+    const distance = this.locals.get(expr);
+    const superclass = this.environment.getAt(distance, "super");
+    // The environment where 'this' is bound is always right inside the one holding 'super'.
+    const object = this.environment.getAt(distance - 1, "this");
+
+    const method = superclass.findMethod(expr.method.lexeme);
+    if (method === null) {
+      throw new RuntimeError(expr.method, `Undefined property '${expr.method.lexeme}'.`, ErrorCode.UNDEFINED_PROPERTY);
+    }
+
+    return method.bind(object);
+  }
+
   visitAssignExpr(expr) {
     const value = this.evaluate(expr.value);
-    this.environment.assign(expr.name, value);
+
+    const distance = this.locals.get(expr);
+    if (distance !== undefined) {
+      this.environment.assignAt(distance, expr.name, value);
+    } else {
+      this.environment.globals.assign(expr.name, value, this.localNames);
+    }
+
     return value;
   }
 
   visitVariableExpr(expr) {
-    return this.environment.get(expr.name);
+    return this.lookUpVariable(expr.name, expr);
   }
 
   visitLiteralExpr(expr) {
@@ -168,10 +535,25 @@ class Interpreter {
 
   visitUnaryExpr(expr) {
     const right = this.evaluate(expr.right);
+    return this.applyUnary(expr.operator, right);
+  }
 
-    switch (expr.operator.type) {
+  visitBinaryExpr(expr) {
+    const left = this.evaluate(expr.left);
+    const right = this.evaluate(expr.right);
+    return this.applyBinary(expr.operator, left, right);
+  }
+
+  /**
+   * Applies a unary operator to an evaluated operand.
+   * @param {Token} operator The operator token, also used to report errors.
+   * @param {any} right The operand.
+   * @returns {any}
+   */
+  applyUnary(operator, right) {
+    switch (operator.type) {
       case TokenType.MINUS:
-        this.checkNumberOperand(expr.operator, right);
+        this.checkNumberOperand(operator, right);
         return -Number(right);
       case TokenType.BANG:
         return !this.isTruthy(right);
@@ -179,43 +561,61 @@ class Interpreter {
     return null;
   }
 
-  visitBinaryExpr(expr) {
-    const left = this.evaluate(expr.left);
-    const right = this.evaluate(expr.right);
-
-    switch (expr.operator.type) {
+  /**
+   * Applies a binary operator to its evaluated operands.
+   * @param {Token} operator The operator token, also used to report errors.
+   * @param {any} left The left operand.
+   * @param {any} right The right operand.
+   * @returns {any}
+   */
+  applyBinary(operator, left, right) {
+    switch (operator.type) {
       case TokenType.MINUS:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) - Number(right);
       case TokenType.SLASH:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         if (Number(right) === 0) {
-          throw new RuntimeError(expr.operator, "Division by zero.");
+          throw new RuntimeError(operator, "Division by zero.", ErrorCode.DIVISION_BY_ZERO);
         }
         return Number(left) / Number(right);
+      case TokenType.PERCENT:
+        this.checkNumberOperands(operator, left, right);
+        if (Number(right) === 0) {
+          throw new RuntimeError(operator, "Division by zero.", ErrorCode.DIVISION_BY_ZERO);
+        }
+        // Like JavaScript, the result takes the sign of the dividend.
+        return Number(left) % Number(right);
+      case TokenType.TILDE_SLASH:
+        this.checkNumberOperands(operator, left, right);
+        if (Number(right) === 0) {
+          throw new RuntimeError(operator, "Division by zero.", ErrorCode.DIVISION_BY_ZERO);
+        }
+        // Truncates toward zero, so that `a == (a ~/ b) * b + a % b`.
+        return Math.trunc(Number(left) / Number(right));
       case TokenType.STAR:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) * Number(right);
       case TokenType.PLUS:
         if (typeof left === 'number' && typeof right === 'number') {
           return left + right;
         }
         if (typeof left === 'string' || typeof right === 'string') {
-          return this.stringify(left) + this.stringify(right);
+          return this.checkAllocation(operator, this.stringify(left) + this.stringify(right));
         }
-        throw new RuntimeError(expr.operator, "Operands must be two numbers or two strings.");
+        throw new RuntimeError(operator, "Operands must be two numbers or two strings.", ErrorCode.TYPE_MISMATCH);
       
       case TokenType.GREATER:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) > Number(right);
       case TokenType.GREATER_EQUAL:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) >= Number(right);
       case TokenType.LESS:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) < Number(right);
       case TokenType.LESS_EQUAL:
-        this.checkNumberOperands(expr.operator, left, right);
+        this.checkNumberOperands(operator, left, right);
         return Number(left) <= Number(right);
 
       case TokenType.BANG_EQUAL: return !this.isEqual(left, right);
@@ -234,13 +634,42 @@ class Interpreter {
   }
 
   execute(stmt) {
+    this.step(stmt.span);
     stmt.accept(this);
   }
 
+  /**
+   * Counts one executed statement against the step and time limits.
+   * @param {Span | null} span The statement about to run.
+   */
+  step(span) {
+    this.steps++;
+    if (this.steps > this.limits.maxSteps) {
+      this.exceedBudget(span, `more than ${this.limits.maxSteps} steps`);
+    }
+    if (this.steps % TIME_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+      this.exceedBudget(span, `ran for more than ${this.limits.maxTime} ms`);
+    }
+  }
+
   evaluate(expr) {
     return expr.accept(this);
   }
 
+  /**
+   * Executes one iteration of a loop body, stopping early on 'continue'.
+   * @param {Stmt} body The loop body.
+   */
+  executeLoopBody(body) {
+    try {
+      this.execute(body);
+    } catch (error) {
+      if (!(error instanceof ContinueInterrupt)) {
+        throw error;
+      }
+    }
+  }
+
   executeBlock(statements, environment) {
     const previous = this.environment;
     try {
@@ -253,14 +682,283 @@ class Interpreter {
     }
   }
 
+  /**
+   * Runs a module the first time it is imported, and returns the cached module afterwards.
+   * Paths are resolved relative to the file containing the import.
+   * @param {Token} keyword The 'import' token, to report errors at.
+   * @param {string} request The path as written in the import.
+   * @param {function(Stmt[], Environment): void} [run] Executes the module's statements
+   *   in its global environment. Defaults to walking them with this interpreter.
+   * @returns {Module}
+   */
+  importModule(keyword, request, run = (statements, environment) => this.executeBlock(statements, environment)) {
+    const importer = keyword.file === null ? null : path.resolve(keyword.file);
+    const directory = importer === null ? process.cwd() : path.dirname(importer);
+    const location = path.resolve(directory, request);
+    try {
+      this.authorizeFile(request, false, directory);
+    } catch (error) {
+      throw new RuntimeError(keyword, `Can't import '${request}': ${error.message}`, ErrorCode.IMPORT_FAILED);
+    }
+
+    const cached = this.modules.get(location);
+    if (cached !== undefined) return cached;
+
+    // The main script is not on the stack, so start the chain with it.
+    const chain = this.importStack.length === 0 && importer !== null ? [importer] : [...this.importStack];
+    if (chain.includes(location)) {
+      const cycle = [...chain.slice(chain.indexOf(location)), location].map(Module.displayName);
+      throw new RuntimeError(keyword, `Circular import: ${cycle.join(" -> ")}.`, ErrorCode.IMPORT_FAILED);
+    }
+
+    let statements;
+    try {
+      statements = this.loadModule(location);
+    } catch (error) {
+      if (error instanceof RuntimeError) throw error;
+      throw new RuntimeError(keyword, `Can't import '${request}': ${error.message}`, ErrorCode.IMPORT_FAILED);
+    }
+
+    const environment = new Environment();
+    for (const [name, value] of this.builtins) {
+      environment.define(name, value);
+    }
+
+    const exports = new Set();
+    for (const statement of statements) {
+      if (statement instanceof Stmt.Export) exports.add(statement.declaration.name.lexeme);
+    }
+
+    const previousStack = this.importStack;
+    this.importStack = [...chain, location];
+    try {
+      run(statements, environment);
+    } finally {
+      this.importStack = previousStack;
+    }
+
+    const module = new Module(Module.displayName(location), environment, exports);
+    this.modules.set(location, module);
+    return module;
+  }
+
+  /**
+   * Looks up a variable using the depth computed by the Resolver,
+   * falling back to the global scope for unresolved names.
+   * @param {Token} name The token for the variable's name.
+   * @param {Expr} expr The expression referencing the variable.
+   * @returns {any}
+   */
+  lookUpVariable(name, expr) {
+    const distance = this.locals.get(expr);
+    if (distance !== undefined) {
+      return this.environment.getAt(distance, name.lexeme);
+    }
+    return this.environment.globals.get(name, this.localNames);
+  }
+
+  /**
+   * Ensures a value can be called with the given number of arguments.
+   * @param {Token} paren The closing parenthesis of the call, to report errors at.
+   * @param {any} callee The value being called.
+   * @param {number} argumentCount How many arguments were passed.
+   */
+  checkCall(paren, callee, argumentCount) {
+    if (!(callee instanceof Callable)) {
+      throw new RuntimeError(paren, "Can only call functions and classes.", ErrorCode.NOT_CALLABLE);
+    }
+
+    const min = callee.minArity();
+    const max = callee.maxArity();
+    if (argumentCount < min || argumentCount > max) {
+      let expected = `${min}`;
+      if (max === Infinity) {
+        expected = `at least ${min}`;
+      } else if (max !== min) {
+        expected = `${min} to ${max}`;
+      }
+      throw new RuntimeError(paren, `Expected ${expected} arguments but got ${argumentCount}.`, ErrorCode.ARITY_MISMATCH);
+    }
+  }
+
+  /**
+   * Raises a "Stack overflow" error when one more function call would nest too deeply.
+   *
+   * Besides the number of calls, both backends count their stack weight: each
+   * call weighs as much as the statements and expressions it is nested in
+   * inside its function, so the limit is reached at the same call on both,
+   * before the Interpreter runs out of host stack.
+   * @param {Token} paren The closing parenthesis of the call, to report errors at.
+   * @param {number} depth How many function calls are already running.
+   * @param {number} weight The stack weight of the calls already running.
+   * @returns {number} The stack weight once this call starts.
+   */
+  checkCallDepth(paren, depth, weight) {
+    const total = weight + (this.callNesting.get(paren) ?? 1);
+    if (depth < this.maxCallDepth && total <= MAX_STACK_WEIGHT) return total;
+
+    const error = new RuntimeError(paren, "Stack overflow.", ErrorCode.STACK_OVERFLOW);
+    if (depth >= this.maxCallDepth) {
+      error.help.push(`scripts can nest at most ${this.maxCallDepth} function calls`);
+    } else {
+      error.help.push("calls nested deep inside statements and expressions use more stack, so fewer of them fit");
+    }
+    throw error;
+  }
+
+  /**
+   * Reads a property: a field or method of an instance, an export of a module,
+   * a property of a caught error or a method of a string.
+   * @param {any} object The value the property is read from.
+   * @param {Token} name The token for the property's name.
+   * @returns {any}
+   */
+  getProperty(object, name) {
+    if (object instanceof Instance || object instanceof Module || object instanceof ErrorObject) {
+      return object.get(name);
+    }
+
+    if (typeof object === 'string') {
+      const method = this.stringMethods.get(name.lexeme);
+      if (method === undefined) {
+        throw new RuntimeError(name, `Undefined string method '${name.lexeme}'.`, ErrorCode.UNDEFINED_PROPERTY);
+      }
+      return method.bind(object);
+    }
+
+    throw new RuntimeError(name, "Only instances have properties.", ErrorCode.TYPE_MISMATCH);
+  }
+
+  /**
+   * Ensures a value can have fields assigned to it.
+   * @param {Token} name The token for the field's name, to report errors at.
+   * @param {any} object The value being assigned to.
+   */
+  checkFieldTarget(name, object) {
+    if (object instanceof Instance) return;
+    throw new RuntimeError(name, "Only instances have fields.", ErrorCode.TYPE_MISMATCH);
+  }
+
+  /**
+   * Reads an element of a list or an entry of a map.
+   * @param {Token} bracket The token to report errors at.
+   * @param {any} object The value being indexed.
+   * @param {any} index The evaluated index or key.
+   * @returns {any}
+   */
+  getIndex(bracket, object, index) {
+    if (Array.isArray(object)) {
+      this.checkListIndex(bracket, object, index);
+      return object[index];
+    }
+
+    if (object instanceof Map) {
+      this.checkMapKey(bracket, index);
+      if (object.has(index)) return object.get(index);
+      if (this.strictMaps) {
+        throw new RuntimeError(bracket, `Undefined key ${this.stringifyNested(index)}.`, ErrorCode.INDEX_OUT_OF_RANGE);
+      }
+      return null;
+    }
+
+    throw new RuntimeError(bracket, "Only lists and maps can be indexed.", ErrorCode.TYPE_MISMATCH);
+  }
+
+  /**
+   * Ensures a list element or map entry can be assigned to.
+   * @param {Token} bracket The token to report errors at.
+   * @param {any} object The value being indexed.
+   * @param {any} index The evaluated index or key.
+   */
+  checkIndexTarget(bracket, object, index) {
+    if (Array.isArray(object)) {
+      this.checkListIndex(bracket, object, index);
+    } else if (object instanceof Map) {
+      this.checkMapKey(bracket, index);
+    } else {
+      throw new RuntimeError(bracket, "Only lists and maps can be indexed.", ErrorCode.TYPE_MISMATCH);
+    }
+  }
+
+  /**
+   * Ensures a list or string produced by an operation fits the execution limits.
+   * @param {Token} token The token to report errors at.
+   * @param {any} value The value that was produced.
+   * @returns {any} The same value.
+   */
+  checkAllocation(token, value) {
+    if (typeof value === 'string' && value.length > this.limits.maxStringLength) {
+      this.exceedBudget(token, `a string of ${value.length} characters is longer than the limit of ${this.limits.maxStringLength}`);
+    }
+    if (Array.isArray(value) && value.length > this.limits.maxListSize) {
+      this.exceedBudget(token, `a list of ${value.length} elements is larger than the limit of ${this.limits.maxListSize}`);
+    }
+    return value;
+  }
+
+  /**
+   * Stops the run because a limit was exceeded.
+   * @param {Token | Span | null} location Where execution stopped.
+   * @param {string} reason Which limit was exceeded.
+   */
+  exceedBudget(location, reason) {
+    this.budgetError = new BudgetError(location, reason, this.steps);
+    throw this.budgetError;
+  }
+
+  /**
+   * Ensures an index is an integer within the bounds of a list.
+   * @param {Token} bracket The token to report errors at.
+   * @param {any[]} list The list being indexed.
+   * @param {any} index The evaluated index value.
+   */
+  checkListIndex(bracket, list, index) {
+    if (!Number.isInteger(index)) {
+      throw new RuntimeError(bracket, "List index must be an integer.", ErrorCode.TYPE_MISMATCH);
+    }
+    if (index < 0 || index >= list.length) {
+      throw new RuntimeError(bracket, `List index ${index} out of bounds for length ${list.length}.`, ErrorCode.INDEX_OUT_OF_RANGE);
+    }
+  }
+
+  /**
+   * Ensures a value can be used as a map key.
+   * @param {Token} token The token to report errors at.
+   * @param {any} key The evaluated key value.
+   */
+  checkMapKey(token, key) {
+    if (typeof key === 'string' || typeof key === 'number') return;
+    throw new RuntimeError(token, "Map keys must be strings or numbers.", ErrorCode.TYPE_MISMATCH);
+  }
+
   checkNumberOperand(operator, operand) {
     if (typeof operand === 'number') return;
-    throw new RuntimeError(operator, "Operand must be a number.");
+    throw new RuntimeError(operator, "Operand must be a number.", ErrorCode.TYPE_MISMATCH);
   }
 
   checkNumberOperands(operator, left, right) {
     if (typeof left === 'number' && typeof right === 'number') return;
-    throw new RuntimeError(operator, "Operands must be numbers.");
+    throw new RuntimeError(operator, "Operands must be numbers.", ErrorCode.TYPE_MISMATCH);
+  }
+
+  /**
+   * Names the type of a value, as used in native parameter declarations.
+   * @param {any} object
+   * @returns {string}
+   */
+  typeName(object) {
+    if (object === null) return "nil";
+    if (typeof object === 'boolean') return "boolean";
+    if (typeof object === 'number') return "number";
+    if (typeof object === 'string') return "string";
+    if (Array.isArray(object)) return "list";
+    if (object instanceof Map) return "map";
+    if (object instanceof Class) return "class";
+    if (object instanceof Callable) return "function";
+    if (object instanceof Instance) return "instance";
+    if (object instanceof Module) return "module";
+    if (object instanceof ErrorObject) return "error";
+    return "unknown";
   }
 
   isTruthy(object) {
@@ -284,8 +982,29 @@ class Interpreter {
       }
       return text;
     }
+    if (Array.isArray(object)) {
+      return `[${object.map((element) => this.stringifyNested(element)).join(", ")}]`;
+    }
+    if (object instanceof Map) {
+      const entries = [];
+      for (const [key, value] of object) {
+        entries.push(`${this.stringifyNested(key)}: ${this.stringifyNested(value)}`);
+      }
+      return `{${entries.join(", ")}}`;
+    }
     return String(object);
   }
+
+  /**
+   * Stringifies a value that appears inside a collection.
+   * Strings are quoted so that `["1"]` and `[1]` print differently.
+   * @param {any} object
+   * @returns {string}
+   */
+  stringifyNested(object) {
+    if (typeof object === 'string') return `"${object}"`;
+    return this.stringify(object);
+  }
 }
 
 module.exports = Interpreter;
\ No newline at end of file
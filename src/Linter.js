@@ -0,0 +1,597 @@
+const Expr = require('./Expr');
+const Stmt = require('./Stmt');
+const Span = require('./Span');
+const TokenType = require('./TokenType');
+const ErrorCode = require('./ErrorCode');
+const Diagnostic = require('./Diagnostic');
+
+/**
+ * Every lint rule, by the name used in config files and comments, with its diagnostic code.
+ */
+const RULES = Object.freeze({
+  "unused-variable":         ErrorCode.UNUSED_VARIABLE,
+  "unused-parameter":        ErrorCode.UNUSED_PARAMETER,
+  "shadowed-name":           ErrorCode.SHADOWED_NAME,
+  "assignment-in-condition": ErrorCode.ASSIGNMENT_IN_CONDITION,
+  "unreachable-code":        ErrorCode.UNREACHABLE_CODE,
+  "call-arity":              ErrorCode.CALL_ARITY,
+  "mismatched-comparison":   ErrorCode.MISMATCHED_COMPARISON
+});
+
+/**
+ * The levels a rule can be set to. Rules are "warning" unless configured otherwise.
+ */
+const LEVELS = ["off", "warning", "error"];
+
+/**
+ * Matches a comment that turns rules off or back on, e.g.
+ * `// oxente-disable-next-line unused-variable, shadowed-name`.
+ */
+const DIRECTIVE = /^oxente-(disable-next-line|disable-line|disable|enable)(?:\s+(.*))?$/;
+
+/**
+ * @typedef {object} Binding
+ * @property {Token} name Where the name was declared.
+ * @property {"variable" | "parameter" | "function" | "class" | "catch"} kind
+ * @property {boolean} used Whether the name is read anywhere.
+ */
+
+/**
+ * The Linter is a static analysis pass that looks for code that is legal but
+ * probably wrong, like variables that are never read or code that can never
+ * run. It walks a program that parsed and resolved without errors, tracking
+ * scopes the way the Resolver does, and reports each finding as a warning, or
+ * as an error for rules configured that way.
+ *
+ * Findings can be silenced with comments:
+ * - `// oxente-disable [rules]` turns rules off until a matching `// oxente-enable [rules]`;
+ * - `// oxente-disable-line [rules]` turns them off for the comment's line;
+ * - `// oxente-disable-next-line [rules]` turns them off for the line after it.
+ * Without a list of rules, the comment applies to every rule.
+ *
+ * Names starting with '_' are never reported as unused.
+ */
+class Linter {
+  /**
+   * @param {Object<string, "off" | "warning" | "error">} [rules={}] The level of each rule
+   *   that shouldn't be reported as a warning.
+   * @throws {Error} If a rule or level is unknown.
+   */
+  constructor(rules = {}) {
+    this.levels = {};
+    for (const rule of Object.keys(RULES)) {
+      this.levels[rule] = "warning";
+    }
+    for (const [rule, level] of Object.entries(rules)) {
+      if (!(rule in RULES)) {
+        throw new Error(`Unknown lint rule '${rule}'.`);
+      }
+      if (!LEVELS.includes(level)) {
+        throw new Error(`The level of '${rule}' must be "off", "warning" or "error".`);
+      }
+      this.levels[rule] = level;
+    }
+  }
+
+  /**
+   * The main entry point. Lints a whole program.
+   * @param {Stmt[]} statements The program's statements, without compile errors.
+   * @param {Token[]} tokens The program's tokens. Their trivia holds the comments that disable rules.
+   * @returns {Diagnostic[]} The findings, in source order.
+   */
+  lint(statements, tokens) {
+    /**
+     * The findings so far, with the rule that found each one.
+     * @type {{ rule: string, diagnostic: Diagnostic }[]}
+     */
+    this.findings = [];
+    /**
+     * The stack of scopes, starting with the top level.
+     * @type {Map<string, Binding>[]}
+     */
+    this.scopes = [];
+    /**
+     * Names read where no scope declares them yet, which refer to globals.
+     * @type {Set<string>}
+     */
+    this.globalReads = new Set();
+    /**
+     * Globals that are assigned to, so they may not hold the function they were declared as.
+     * @type {Set<string>}
+     */
+    this.reassigned = new Set();
+    /**
+     * Calls to globals by name, checked against the top-level functions once everything is seen.
+     * @type {Expr.Call[]}
+     */
+    this.globalCalls = [];
+
+    this.beginScope();
+    this.statements(statements);
+    this.endScope();
+    this.checkCalls(statements);
+
+    const directives = this.directives(tokens);
+    return this.findings
+      .filter(({ rule, diagnostic }) => !this.isDisabled(rule, diagnostic.span, directives))
+      .map(({ diagnostic }) => diagnostic)
+      .sort((a, b) => a.span.start - b.span.start);
+  }
+
+  // Statements:
+  visitBlockStmt(stmt) {
+    this.beginScope();
+    this.statements(stmt.statements);
+    this.endScope();
+  }
+
+  visitClassStmt(stmt) {
+    this.declare(stmt.name, "class");
+    if (stmt.superclass !== null) this.visit(stmt.superclass);
+
+    for (const method of stmt.methods) {
+      this.function(method);
+    }
+  }
+
+  visitExpressionStmt(stmt) {
+    this.visit(stmt.expression);
+  }
+
+  visitFunctionStmt(stmt) {
+    this.declare(stmt.name, "function");
+    this.function(stmt);
+  }
+
+  visitIfStmt(stmt) {
+    this.condition(stmt.condition);
+    this.visit(stmt.thenBranch);
+    if (stmt.elseBranch !== null) this.visit(stmt.elseBranch);
+  }
+
+  visitPrintStmt(stmt) {
+    this.visit(stmt.expression);
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value !== null) this.visit(stmt.value);
+  }
+
+  visitVariableStmt(stmt) {
+    if (stmt.initializer !== null) this.visit(stmt.initializer);
+    this.declare(stmt.name, "variable");
+  }
+
+  visitImportStmt() {}
+
+  visitExportStmt(stmt) {
+    this.visit(stmt.declaration);
+    // Exported names are used by the modules that import them.
+    this.peekScope().get(stmt.declaration.name.lexeme).used = true;
+  }
+
+  visitTryStmt(stmt) {
+    this.beginScope();
+    this.statements(stmt.body);
+    this.endScope();
+
+    if (stmt.catchBody !== null) {
+      this.beginScope();
+      this.declare(stmt.catchName, "catch");
+      this.statements(stmt.catchBody);
+      this.endScope();
+    }
+
+    if (stmt.finallyBody !== null) {
+      this.beginScope();
+      this.statements(stmt.finallyBody);
+      this.endScope();
+    }
+  }
+
+  visitThrowStmt(stmt) {
+    this.visit(stmt.value);
+  }
+
+  visitWhileStmt(stmt) {
+    this.condition(stmt.condition);
+    this.visit(stmt.body);
+  }
+
+  visitForStmt(stmt) {
+    this.beginScope();
+    if (stmt.initializer !== null) this.visit(stmt.initializer);
+    if (stmt.condition !== null) this.condition(stmt.condition);
+    if (stmt.increment !== null) this.visit(stmt.increment);
+    this.visit(stmt.body);
+    this.endScope();
+  }
+
+  visitBreakStmt() {}
+
+  visitContinueStmt() {}
+
+  // Expressions:
+  visitAssignExpr(expr) {
+    this.visit(expr.value);
+    const { depth } = this.lookup(expr.name);
+    if (depth <= 0) this.reassigned.add(expr.name.lexeme);
+  }
+
+  visitBinaryExpr(expr) {
+    this.visit(expr.left);
+    this.visit(expr.right);
+    this.checkComparison(expr);
+  }
+
+  visitCallExpr(expr) {
+    this.visit(expr.callee);
+    for (const argument of expr.arguments) {
+      this.visit(argument);
+    }
+
+    if (expr.callee instanceof Expr.Variable && this.lookup(expr.callee.name).depth <= 0) {
+      this.globalCalls.push(expr);
+    }
+  }
+
+  visitGetExpr(expr) {
+    this.visit(expr.object);
+  }
+
+  visitGroupingExpr(expr) {
+    this.visit(expr.expression);
+  }
+
+  visitLambdaExpr(expr) {
+    this.function(expr);
+  }
+
+  visitListExpr(expr) {
+    for (const element of expr.elements) {
+      this.visit(element);
+    }
+  }
+
+  visitMapExpr(expr) {
+    for (let i = 0; i < expr.keys.length; i++) {
+      this.visit(expr.keys[i]);
+      this.visit(expr.values[i]);
+    }
+  }
+
+  visitIndexExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.index);
+  }
+
+  visitIndexSetExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.index);
+    this.visit(expr.value);
+  }
+
+  visitLiteralExpr() {}
+
+  visitSetExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.value);
+  }
+
+  visitSuperExpr() {}
+
+  visitThisExpr() {}
+
+  visitTernaryExpr(expr) {
+    this.visit(expr.condition);
+    this.visit(expr.thenBranch);
+    this.visit(expr.elseBranch);
+  }
+
+  visitUnaryExpr(expr) {
+    this.visit(expr.right);
+  }
+
+  visitVariableExpr(expr) {
+    const { binding } = this.lookup(expr.name);
+    if (binding === null) {
+      this.globalReads.add(expr.name.lexeme);
+    } else {
+      binding.used = true;
+    }
+  }
+
+  // Helpers:
+  /**
+   * @private
+   * @param {Stmt | Expr} node
+   */
+  visit(node) {
+    node.accept(this);
+  }
+
+  /**
+   * Lints a list of statements, reporting the first one that comes after a
+   * statement that always jumps away.
+   * @private
+   * @param {Stmt[]} statements
+   */
+  statements(statements) {
+    const jump = statements.findIndex((statement) => this.isJump(statement));
+    if (jump !== -1 && jump < statements.length - 1) {
+      this.report("unreachable-code", statements[jump + 1].span, "Unreachable code.",
+        [`the statement on line ${statements[jump].span.line} always jumps away`]);
+    }
+
+    for (const statement of statements) {
+      this.visit(statement);
+    }
+  }
+
+  /**
+   * Lints a function's parameters and body inside a new scope.
+   * @private
+   * @param {Stmt.Function | Expr.Lambda} func
+   */
+  function(func) {
+    this.beginScope();
+    for (const param of func.params) {
+      this.declare(param, "parameter");
+    }
+    this.statements(func.body);
+    this.endScope();
+  }
+
+  /**
+   * Lints the condition of an 'if' or a loop.
+   * @private
+   * @param {Expr} condition
+   */
+  condition(condition) {
+    if (condition instanceof Expr.Assign || condition instanceof Expr.Set || condition instanceof Expr.IndexSet) {
+      this.report("assignment-in-condition", condition.span, "Assignment used as a condition.",
+        ["did you mean '=='? Wrap the assignment in parentheses if it is intended"]);
+    }
+    this.visit(condition);
+  }
+
+  /**
+   * Reports comparisons between literals of different types, which never depend on the program.
+   * @private
+   * @param {Expr.Binary} expr
+   */
+  checkComparison(expr) {
+    const left = this.unwrap(expr.left);
+    const right = this.unwrap(expr.right);
+    if (!(left instanceof Expr.Literal) || !(right instanceof Expr.Literal)) return;
+
+    const leftType = this.literalType(left.value);
+    const rightType = this.literalType(right.value);
+    if (leftType === rightType) return;
+
+    const help = {
+      [TokenType.EQUAL_EQUAL]: "values of different types are never equal, so this is always false",
+      [TokenType.BANG_EQUAL]: "values of different types are never equal, so this is always true",
+      [TokenType.LESS]: "only numbers can be ordered, so this fails at run time",
+      [TokenType.LESS_EQUAL]: "only numbers can be ordered, so this fails at run time",
+      [TokenType.GREATER]: "only numbers can be ordered, so this fails at run time",
+      [TokenType.GREATER_EQUAL]: "only numbers can be ordered, so this fails at run time"
+    }[expr.operator.type];
+    if (help === undefined) return;
+
+    const describe = (type) => type === "nil" ? "nil" : `a ${type}`;
+    this.report("mismatched-comparison", expr.span,
+      `Comparison between ${describe(leftType)} and ${describe(rightType)}.`, [help]);
+  }
+
+  /**
+   * Reports calls to top-level functions with the wrong number of arguments.
+   * Functions that are declared more than once or assigned to are skipped.
+   * @private
+   * @param {Stmt[]} statements The program's statements.
+   */
+  checkCalls(statements) {
+    const functions = new Map();
+    const declaredTwice = new Set();
+    for (let statement of statements) {
+      if (statement instanceof Stmt.Export) statement = statement.declaration;
+      if (!(statement instanceof Stmt.Function || statement instanceof Stmt.Var || statement instanceof Stmt.Class)) {
+        continue;
+      }
+      const name = statement.name.lexeme;
+      if (functions.has(name) || declaredTwice.has(name)) {
+        functions.delete(name);
+        declaredTwice.add(name);
+      } else if (statement instanceof Stmt.Function) {
+        functions.set(name, statement);
+      } else {
+        declaredTwice.add(name);
+      }
+    }
+
+    for (const call of this.globalCalls) {
+      const name = call.callee.name.lexeme;
+      const declaration = functions.get(name);
+      if (declaration === undefined || this.reassigned.has(name)) continue;
+
+      const expected = declaration.params.length;
+      if (call.arguments.length === expected) continue;
+      this.report("call-arity", call.span,
+        `Expected ${expected} arguments but got ${call.arguments.length}.`,
+        [`'${name}' is declared on line ${declaration.name.line}`]);
+    }
+  }
+
+  /**
+   * Adds a name to the innermost scope, reporting it if it hides a name from an enclosing scope.
+   * @private
+   * @param {Token} name
+   * @param {string} kind See Binding.
+   */
+  declare(name, kind) {
+    for (let i = this.scopes.length - 2; i >= 0; i--) {
+      const outer = this.scopes[i].get(name.lexeme);
+      if (outer === undefined) continue;
+      this.report("shadowed-name", Span.fromToken(name),
+        `'${name.lexeme}' shadows the ${outer.kind === "catch" ? "variable" : outer.kind} declared on line ${outer.name.line}.`);
+      break;
+    }
+    this.peekScope().set(name.lexeme, { name, kind, used: false });
+  }
+
+  /**
+   * Finds the innermost declaration of a name.
+   * @private
+   * @param {Token} name
+   * @returns {{ binding: Binding | null, depth: number }} The depth is 0 for the top level,
+   *   and -1 when the name isn't declared yet.
+   */
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      const binding = this.scopes[i].get(name.lexeme);
+      if (binding !== undefined) return { binding, depth: i };
+    }
+    return { binding: null, depth: -1 };
+  }
+
+  /**
+   * @private
+   */
+  beginScope() {
+    this.scopes.push(new Map());
+  }
+
+  /**
+   * Leaves a scope, reporting the variables and parameters in it that were never read.
+   * @private
+   */
+  endScope() {
+    const scope = this.scopes.pop();
+    const topLevel = this.scopes.length === 0;
+
+    for (const binding of scope.values()) {
+      const name = binding.name.lexeme;
+      if (binding.used || name.startsWith("_")) continue;
+      // Functions can read globals declared after them.
+      if (topLevel && this.globalReads.has(name)) continue;
+
+      if (binding.kind === "variable") {
+        this.report("unused-variable", Span.fromToken(binding.name), `Variable '${name}' is never used.`,
+          ["start its name with '_' if this is intended"]);
+      } else if (binding.kind === "parameter") {
+        this.report("unused-parameter", Span.fromToken(binding.name), `Parameter '${name}' is never used.`,
+          ["start its name with '_' if this is intended"]);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Map<string, Binding>}
+   */
+  peekScope() {
+    return this.scopes[this.scopes.length - 1];
+  }
+
+  /**
+   * @private
+   * @param {Stmt} stmt
+   * @returns {boolean} Whether the statement always jumps away.
+   */
+  isJump(stmt) {
+    return stmt instanceof Stmt.Return || stmt instanceof Stmt.Break ||
+      stmt instanceof Stmt.Continue || stmt instanceof Stmt.Throw;
+  }
+
+  /**
+   * @private
+   * @param {Expr} expr
+   * @returns {Expr} The expression inside any parentheses.
+   */
+  unwrap(expr) {
+    while (expr instanceof Expr.Grouping) expr = expr.expression;
+    return expr;
+  }
+
+  /**
+   * @private
+   * @param {any} value A literal's value.
+   * @returns {string} The name of its type, as the Interpreter names it.
+   */
+  literalType(value) {
+    return value === null ? "nil" : typeof value;
+  }
+
+  /**
+   * Records a finding, unless its rule is off.
+   * @private
+   * @param {string} rule
+   * @param {Span} span
+   * @param {string} message
+   * @param {string[]} [help=[]]
+   */
+  report(rule, span, message, help = []) {
+    const level = this.levels[rule];
+    if (level === "off") return;
+    help = [...help, `reported by the '${rule}' rule`];
+    this.findings.push({ rule, diagnostic: new Diagnostic(level, RULES[rule], message, span, help) });
+  }
+
+  /**
+   * Reads the comments that turn rules off or on.
+   * @private
+   * @param {Token[]} tokens
+   * @returns {{ kind: string, rules: string[] | null, start: number, line: number }[]}
+   */
+  directives(tokens) {
+    const directives = [];
+    for (const comment of tokens.flatMap((token) => token.trivia ?? [])) {
+      const text = comment.lexeme.startsWith("//")
+        ? comment.lexeme.slice(2)
+        : comment.lexeme.slice(2, -2);
+      const match = DIRECTIVE.exec(text.trim());
+      if (match === null) continue;
+
+      const rules = match[2] === undefined ? null : match[2].split(/[\s,]+/).filter((rule) => rule !== "");
+      directives.push({
+        kind: match[1],
+        rules: rules === null || rules.length === 0 ? null : rules,
+        start: comment.start,
+        line: Span.fromToken(comment).endLine
+      });
+    }
+    return directives;
+  }
+
+  /**
+   * @private
+   * @param {string} rule
+   * @param {Span} span Where the finding is.
+   * @param {{ kind: string, rules: string[] | null, start: number, line: number }[]} directives
+   * @returns {boolean} Whether the comments turn the rule off where the finding is.
+   */
+  isDisabled(rule, span, directives) {
+    let disabled = false;
+    for (const directive of directives) {
+      if (directive.rules !== null && !directive.rules.includes(rule)) continue;
+
+      switch (directive.kind) {
+        case "disable-line":
+          if (directive.line === span.line) return true;
+          break;
+        case "disable-next-line":
+          if (directive.line + 1 === span.line) return true;
+          break;
+        case "disable":
+        case "enable":
+          if (directive.start < span.start) disabled = directive.kind === "disable";
+          break;
+      }
+    }
+    return disabled;
+  }
+}
+
+Linter.RULES = RULES;
+
+module.exports = Linter;
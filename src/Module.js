@@ -0,0 +1,49 @@
+const path = require('path');
+
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * The runtime representation of an imported file. A module runs once in its
+ * own global environment, and only the names it exports can be read from it.
+ */
+class Module {
+  /**
+   * @param {string} name The module's file name, as shown to users.
+   * @param {Environment} environment The module's global environment.
+   * @param {Set<string>} exports The names declared with 'export'.
+   */
+  constructor(name, environment, exports) {
+    this.name = name;
+    this.environment = environment;
+    this.exports = exports;
+  }
+
+  /**
+   * Reads an exported name. Exports are live: reassigning an exported
+   * variable inside the module is visible to importers.
+   * @param {Token} name The token for the exported name.
+   * @returns {any}
+   */
+  get(name) {
+    if (this.exports.has(name.lexeme)) {
+      return this.environment.values.get(name.lexeme);
+    }
+    throw new RuntimeError(name, `Module '${this.name}' has no export '${name.lexeme}'.`, ErrorCode.UNDEFINED_PROPERTY);
+  }
+
+  /**
+   * The name a module file is shown under: relative to the working directory when possible.
+   * @param {string} location The module's absolute path.
+   * @returns {string}
+   */
+  static displayName(location) {
+    return path.relative(process.cwd(), location) || location;
+  }
+
+  toString() {
+    return `<module ${this.name}>`;
+  }
+}
+
+module.exports = Module;
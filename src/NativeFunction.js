@@ -0,0 +1,204 @@
+const Callable = require('./Callable');
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+const Instance = require('./Instance');
+const Module = require('./Module');
+const ErrorObject = require('./ErrorObject');
+
+/**
+ * @typedef {object} NativeSpec
+ * @property {function(...any): any} fn The JavaScript implementation. It receives the
+ *   Oxente argument values, and what it returns is converted with `NativeFunction.fromHost`.
+ *   Anything it throws is reported as a runtime error at the call site, which scripts can catch.
+ * @property {number} [arity] Shorthand for equal `minArity` and `maxArity`.
+ * @property {number} [minArity] The smallest number of arguments accepted.
+ *   Defaults to the number of `params`.
+ * @property {number} [maxArity] The largest number of arguments accepted, `Infinity`
+ *   for variadic functions. Defaults to `minArity`.
+ * @property {string[]} [params] The expected type of each argument: "any", "number",
+ *   "string", "boolean", "nil", "list", "map", "function", "class" or "instance", or
+ *   several of them joined with "|". Extra arguments of a variadic function are
+ *   checked against the last entry.
+ */
+
+/**
+ * A function implemented in JavaScript by the host and exposed to Oxente scripts.
+ */
+class NativeFunction extends Callable {
+  /**
+   * @param {string} name The name the function is exposed under.
+   * @param {NativeSpec} spec
+   */
+  constructor(name, spec) {
+    super();
+    this.name = name;
+    this.fn = spec.fn;
+    this.params = spec.params ?? [];
+    this.min = spec.arity ?? spec.minArity ?? this.params.length;
+    this.max = spec.arity ?? spec.maxArity ?? this.min;
+  }
+
+  arity() {
+    return this.min;
+  }
+
+  minArity() {
+    return this.min;
+  }
+
+  maxArity() {
+    return this.max;
+  }
+
+  call(interpreter, args, paren) {
+    this.checkArgumentTypes(interpreter, args, paren);
+
+    let result;
+    try {
+      result = this.fn(...args);
+    } catch (error) {
+      if (error instanceof RuntimeError) throw error;
+      // Hosts can throw anything, e.g. a string; scripts see it as a runtime error.
+      throw new RuntimeError(paren, error instanceof Error ? error.message : String(error));
+    }
+
+    try {
+      return NativeFunction.fromHost(result, `${this.name}()`);
+    } catch (error) {
+      throw new RuntimeError(paren, error.message, ErrorCode.TYPE_MISMATCH);
+    }
+  }
+
+  /**
+   * Converts a JavaScript value into the Oxente value scripts see: `undefined` becomes
+   * nil, plain objects become maps, arrays and maps are converted element by element and
+   * functions become native functions. Lists and maps that need no conversion are kept,
+   * so the host and scripts share them.
+   * @param {any} value The host's value.
+   * @param {string} name What the value is called, e.g. "config.retries", for errors.
+   * @returns {any}
+   * @throws {TypeError} If the value, or one inside it, has no Oxente equivalent,
+   *   like a `Date` or a `bigint`.
+   */
+  static fromHost(value, name) {
+    return convert(value, name, new Map());
+  }
+
+  /**
+   * Creates a method version of this function with its first argument
+   * fixed to the given receiver, e.g. for `"abc".upper()`.
+   * @param {any} receiver The value the method is accessed on.
+   * @returns {NativeFunction}
+   */
+  bind(receiver) {
+    return new NativeFunction(this.name, {
+      minArity: this.min - 1,
+      maxArity: this.max - 1,
+      params: this.params.slice(1),
+      fn: (...args) => this.fn(receiver, ...args)
+    });
+  }
+
+  /**
+   * Checks every argument against the declared parameter types.
+   * @private
+   * @param {Interpreter} interpreter
+   * @param {any[]} args
+   * @param {Token} paren
+   */
+  checkArgumentTypes(interpreter, args, paren) {
+    if (this.params.length === 0) return;
+
+    for (let i = 0; i < args.length; i++) {
+      const expected = this.params[Math.min(i, this.params.length - 1)];
+      if (expected === "any") continue;
+
+      const actual = interpreter.typeName(args[i]);
+      if (!expected.split("|").includes(actual)) {
+        throw new RuntimeError(
+          paren,
+          `Argument ${i + 1} of '${this.name}' must be ${expected.split("|").join(" or ")} but got ${actual}.`,
+          ErrorCode.TYPE_MISMATCH
+        );
+      }
+    }
+  }
+
+  toString() {
+    return "<native fn>";
+  }
+}
+
+/**
+ * Converts a host value; see `NativeFunction.fromHost`.
+ * @param {any} value
+ * @param {string} name
+ * @param {Map<object, any>} converted The lists and maps converted so far, so that
+ *   shared and cyclic references stay shared and cyclic.
+ * @returns {any}
+ */
+function convert(value, name, converted) {
+  switch (typeof value) {
+    case 'undefined':
+      return null;
+    case 'boolean':
+    case 'number':
+    case 'string':
+      return value;
+    case 'function':
+      return new NativeFunction(name, { arity: value.length, fn: value });
+    case 'object':
+      break;
+    default:
+      throw new TypeError(`'${name}' is a ${typeof value}, which scripts can't use.`);
+  }
+
+  if (value === null || value instanceof Callable || value instanceof Instance ||
+      value instanceof Module || value instanceof ErrorObject) {
+    return value;
+  }
+  if (converted.has(value)) return converted.get(value);
+
+  if (Array.isArray(value)) {
+    const list = [];
+    converted.set(value, list);
+    value.forEach((element, i) => list.push(convert(element, `${name}[${i}]`, converted)));
+    return keepIfUnchanged(value, list, value, converted);
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (value instanceof Map || prototype === Object.prototype || prototype === null) {
+    const map = new Map();
+    converted.set(value, map);
+    const entries = value instanceof Map ? value.entries() : Object.entries(value);
+    for (const [key, element] of entries) {
+      map.set(key, convert(element, `${name}.${key}`, converted));
+    }
+    return value instanceof Map ? keepIfUnchanged(value, map, value.values(), converted) : map;
+  }
+
+  const kind = value.constructor?.name ?? "object";
+  throw new TypeError(`'${name}' is a ${kind}, which scripts can't use.`);
+}
+
+/**
+ * Returns the host's list or map instead of its converted copy when every element
+ * converted to itself.
+ * @param {any[] | Map<any, any>} original
+ * @param {any[] | Map<any, any>} copy
+ * @param {Iterable<any>} elements The original's elements.
+ * @param {Map<object, any>} converted
+ * @returns {any[] | Map<any, any>}
+ */
+function keepIfUnchanged(original, copy, elements, converted) {
+  const copied = copy instanceof Map ? copy.values() : copy;
+  const originals = [...elements];
+  let i = 0;
+  for (const element of copied) {
+    if (element !== originals[i++]) return copy;
+  }
+  converted.set(original, original);
+  return original;
+}
+
+module.exports = NativeFunction;
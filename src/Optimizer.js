@@ -0,0 +1,368 @@
+const TokenType = require('./TokenType');
+const RuntimeError = require('./RuntimeError');
+const Expr = require('./Expr');
+const Stmt = require('./Stmt');
+
+/**
+ * An optional pass that simplifies a resolved syntax tree before it runs:
+ *
+ * - operators applied to literals are folded into a single literal, as are
+ *   ternaries with a literal condition, and groupings are removed;
+ * - `if`, `while` and `for` statements with a literal condition lose the
+ *   branches that can never run;
+ * - statements after a `return`, `break`, `continue` or `throw` in the same
+ *   block are dropped;
+ * - blocks that declare nothing are merged into the surrounding code, so
+ *   they no longer create a scope at run time.
+ *
+ * Folding uses the Interpreter's own operators, and an operation that would
+ * fail, such as `1 / 0`, is left in place so that it still fails at run time,
+ * on the same line. Folded nodes keep the span of the code they replace.
+ *
+ * Blocks change shape, so the tree must be resolved again afterwards.
+ */
+class Optimizer {
+  /**
+   * @param {Interpreter} interpreter Provides the operators used for folding.
+   */
+  constructor(interpreter) {
+    this.interpreter = interpreter;
+  }
+
+  /**
+   * The main entry point. Optimizes the statements of a script.
+   * @param {Stmt[]} statements The resolved statements.
+   * @returns {Stmt[]} The optimized statements.
+   */
+  optimize(statements) {
+    // Declarations after a top-level 'throw' still name the module's exports, so they stay.
+    return this.statements(statements, false);
+  }
+
+  // Statement optimization methods. Each returns the statement that replaces
+  // the node, or null to remove it.
+  visitExpressionStmt(stmt) {
+    stmt.expression = this.expression(stmt.expression);
+    // A literal on its own does nothing.
+    if (stmt.expression instanceof Expr.Literal) return null;
+    return stmt;
+  }
+
+  visitPrintStmt(stmt) {
+    stmt.expression = this.expression(stmt.expression);
+    return stmt;
+  }
+
+  visitVariableStmt(stmt) {
+    if (stmt.initializer !== null) stmt.initializer = this.expression(stmt.initializer);
+    return stmt;
+  }
+
+  visitBlockStmt(stmt) {
+    stmt.statements = this.statements(stmt.statements, true);
+    return stmt;
+  }
+
+  visitIfStmt(stmt) {
+    stmt.condition = this.expression(stmt.condition);
+    if (stmt.condition instanceof Expr.Literal) {
+      const branch = this.interpreter.isTruthy(stmt.condition.value) ? stmt.thenBranch : stmt.elseBranch;
+      return branch === null ? null : this.branch(branch);
+    }
+
+    stmt.thenBranch = this.branch(stmt.thenBranch) ?? this.emptyBlock(stmt.thenBranch);
+    if (stmt.elseBranch !== null) stmt.elseBranch = this.branch(stmt.elseBranch);
+    return stmt;
+  }
+
+  visitWhileStmt(stmt) {
+    stmt.condition = this.expression(stmt.condition);
+    if (this.isFalsyLiteral(stmt.condition)) return null;
+
+    stmt.body = this.branch(stmt.body) ?? this.emptyBlock(stmt.body);
+    return stmt;
+  }
+
+  visitForStmt(stmt) {
+    if (stmt.initializer !== null) stmt.initializer = this.statement(stmt.initializer);
+    if (stmt.condition !== null) stmt.condition = this.expression(stmt.condition);
+    if (stmt.increment !== null) stmt.increment = this.expression(stmt.increment);
+
+    if (stmt.condition !== null && this.isFalsyLiteral(stmt.condition)) {
+      // Only the initializer runs, still in a scope of its own.
+      if (stmt.initializer === null) return null;
+      const block = new Stmt.Block([stmt.initializer]);
+      block.span = stmt.span;
+      return block;
+    }
+
+    stmt.body = this.branch(stmt.body) ?? this.emptyBlock(stmt.body);
+    return stmt;
+  }
+
+  visitBreakStmt(stmt) {
+    return stmt;
+  }
+
+  visitContinueStmt(stmt) {
+    return stmt;
+  }
+
+  visitFunctionStmt(stmt) {
+    stmt.body = this.statements(stmt.body, true);
+    return stmt;
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value !== null) stmt.value = this.expression(stmt.value);
+    return stmt;
+  }
+
+  visitClassStmt(stmt) {
+    for (const method of stmt.methods) {
+      this.visitFunctionStmt(method);
+    }
+    return stmt;
+  }
+
+  visitImportStmt(stmt) {
+    return stmt;
+  }
+
+  visitExportStmt(stmt) {
+    stmt.declaration = this.statement(stmt.declaration);
+    return stmt;
+  }
+
+  visitTryStmt(stmt) {
+    stmt.body = this.statements(stmt.body, true);
+    if (stmt.catchBody !== null) stmt.catchBody = this.statements(stmt.catchBody, true);
+    if (stmt.finallyBody !== null) stmt.finallyBody = this.statements(stmt.finallyBody, true);
+    return stmt;
+  }
+
+  visitThrowStmt(stmt) {
+    stmt.value = this.expression(stmt.value);
+    return stmt;
+  }
+
+  // Expression optimization methods. Each returns the expression that replaces the node.
+  visitBinaryExpr(expr) {
+    expr.left = this.expression(expr.left);
+    expr.right = this.expression(expr.right);
+    if (!(expr.left instanceof Expr.Literal) || !(expr.right instanceof Expr.Literal)) return expr;
+
+    const left = expr.left.value;
+    const right = expr.right.value;
+    // A string longer than the execution limits is left for the interpreter to reject.
+    if (expr.operator.type === TokenType.PLUS && (typeof left === 'string' || typeof right === 'string')) {
+      const length = this.interpreter.stringify(left).length + this.interpreter.stringify(right).length;
+      if (length > this.interpreter.limits.maxStringLength) return expr;
+    }
+    return this.fold(expr, () => this.interpreter.applyBinary(expr.operator, left, right));
+  }
+
+  visitGroupingExpr(expr) {
+    return this.expression(expr.expression);
+  }
+
+  visitLiteralExpr(expr) {
+    return expr;
+  }
+
+  visitUnaryExpr(expr) {
+    expr.right = this.expression(expr.right);
+    if (!(expr.right instanceof Expr.Literal)) return expr;
+    return this.fold(expr, () => this.interpreter.applyUnary(expr.operator, expr.right.value));
+  }
+
+  visitTernaryExpr(expr) {
+    expr.condition = this.expression(expr.condition);
+    expr.thenBranch = this.expression(expr.thenBranch);
+    expr.elseBranch = this.expression(expr.elseBranch);
+    if (!(expr.condition instanceof Expr.Literal)) return expr;
+    return this.interpreter.isTruthy(expr.condition.value) ? expr.thenBranch : expr.elseBranch;
+  }
+
+  visitVariableExpr(expr) {
+    return expr;
+  }
+
+  visitAssignExpr(expr) {
+    expr.value = this.expression(expr.value);
+    return expr;
+  }
+
+  visitCallExpr(expr) {
+    expr.callee = this.expression(expr.callee);
+    expr.arguments = expr.arguments.map((argument) => this.expression(argument));
+    return expr;
+  }
+
+  visitGetExpr(expr) {
+    expr.object = this.expression(expr.object);
+    return expr;
+  }
+
+  visitSetExpr(expr) {
+    expr.object = this.expression(expr.object);
+    expr.value = this.expression(expr.value);
+    return expr;
+  }
+
+  visitThisExpr(expr) {
+    return expr;
+  }
+
+  visitSuperExpr(expr) {
+    return expr;
+  }
+
+  visitLambdaExpr(expr) {
+    expr.body = this.statements(expr.body, true);
+    return expr;
+  }
+
+  visitListExpr(expr) {
+    expr.elements = expr.elements.map((element) => this.expression(element));
+    return expr;
+  }
+
+  visitMapExpr(expr) {
+    expr.keys = expr.keys.map((key) => this.expression(key));
+    expr.values = expr.values.map((value) => this.expression(value));
+    return expr;
+  }
+
+  visitIndexExpr(expr) {
+    expr.object = this.expression(expr.object);
+    expr.index = this.expression(expr.index);
+    return expr;
+  }
+
+  visitIndexSetExpr(expr) {
+    expr.object = this.expression(expr.object);
+    expr.index = this.expression(expr.index);
+    expr.value = this.expression(expr.value);
+    return expr;
+  }
+
+  // Helpers:
+  /**
+   * @param {Stmt} stmt
+   * @returns {Stmt | null}
+   */
+  statement(stmt) {
+    return stmt.accept(this);
+  }
+
+  /**
+   * @param {Expr} expr
+   * @returns {Expr}
+   */
+  expression(expr) {
+    return expr.accept(this);
+  }
+
+  /**
+   * Optimizes a list of statements, merging in the blocks that declare nothing.
+   * @param {Stmt[]} statements
+   * @param {boolean} dropUnreachable Whether statements after a jump are removed.
+   * @returns {Stmt[]}
+   */
+  statements(statements, dropUnreachable) {
+    const result = [];
+    for (const statement of statements) {
+      const optimized = this.statement(statement);
+      if (optimized === null) continue;
+
+      if (optimized instanceof Stmt.Block && !this.declaresAnything(optimized)) {
+        result.push(...optimized.statements);
+      } else {
+        result.push(optimized);
+      }
+
+      if (dropUnreachable && this.endsWithJump(result)) break;
+    }
+    return result;
+  }
+
+  /**
+   * Optimizes a statement that stands on its own, like a loop body or an
+   * 'if' branch. A block holding a single statement that declares nothing
+   * is replaced by that statement.
+   * @param {Stmt} stmt
+   * @returns {Stmt | null}
+   */
+  branch(stmt) {
+    const optimized = this.statement(stmt);
+    if (optimized instanceof Stmt.Block && !this.declaresAnything(optimized)) {
+      if (optimized.statements.length === 0) return null;
+      if (optimized.statements.length === 1) return optimized.statements[0];
+    }
+    return optimized;
+  }
+
+  /**
+   * Calls a folding operation, keeping the original expression if it fails.
+   * @param {Expr} expr The expression being folded.
+   * @param {function(): any} operation Computes the folded value.
+   * @returns {Expr}
+   */
+  fold(expr, operation) {
+    let value;
+    try {
+      value = operation();
+    } catch (error) {
+      if (error instanceof RuntimeError) return expr;
+      throw error;
+    }
+
+    const literal = new Expr.Literal(value);
+    literal.span = expr.span;
+    return literal;
+  }
+
+  /**
+   * @param {Expr} expr
+   * @returns {boolean} Whether the expression is a literal that counts as false.
+   */
+  isFalsyLiteral(expr) {
+    return expr instanceof Expr.Literal && !this.interpreter.isTruthy(expr.value);
+  }
+
+  /**
+   * @param {Stmt.Block} block
+   * @returns {boolean} Whether the block declares a variable, function or class of its own.
+   */
+  declaresAnything(block) {
+    return block.statements.some((statement) => statement instanceof Stmt.Var
+      || statement instanceof Stmt.Function
+      || statement instanceof Stmt.Class);
+  }
+
+  /**
+   * @param {Stmt[]} statements
+   * @returns {boolean} Whether the last statement always leaves the block.
+   */
+  endsWithJump(statements) {
+    const last = statements[statements.length - 1];
+    return last instanceof Stmt.Return
+      || last instanceof Stmt.Break
+      || last instanceof Stmt.Continue
+      || last instanceof Stmt.Throw;
+  }
+
+  /**
+   * Creates a block that does nothing, for a position that needs a statement.
+   * @param {Stmt} stmt The statement being replaced.
+   * @returns {Stmt.Block}
+   */
+  emptyBlock(stmt) {
+    const block = new Stmt.Block([]);
+    block.span = stmt.span;
+    return block;
+  }
+}
+
+module.exports = Optimizer;
@@ -1,102 +1,240 @@
+#!/usr/bin/env node
 const fs = require('fs');
+const path = require('path');
 const process = require('process');
 const readline = require('readline');
 
-const Scanner = require('./Scanner');
-const Parser = require('./Parser');
-const Interpreter = require('./Interpreter');
-const TokenType = require('./TokenType');
-const Token = require('./Token');
+const { createOxente, AstPrinter, AstSerializer, Linter, Connection, LanguageServer } = require('./index');
 
-let hadError = false;
-let hadRuntimeError = false;
+/**
+ * The flags accepted before the script's path.
+ */
+const FLAGS = ["--vm", "--optimize", "--dump-tokens", "--dump-ast", "--dump-ast=json"];
+
+/**
+ * The flags that print how a script was parsed instead of running it.
+ */
+const DUMP_FLAGS = ["--dump-tokens", "--dump-ast", "--dump-ast=json"];
 
-const interpreter = new Interpreter(runtimeError);
+/**
+ * The file that configures the linter, looked up from each script's directory upwards.
+ */
+const LINT_CONFIG = ".oxentelintrc.json";
+
+/**
+ * Creates the engine used by the command line, wired to the terminal.
+ * @param {string[]} flags The flags given on the command line.
+ * @returns {Engine}
+ */
+function createCliEngine(flags) {
+  return createOxente({
+    backend: flags.includes("--vm") ? "vm" : "interpreter",
+    optimize: flags.includes("--optimize"),
+    stdout: process.stdout,
+    stderr: process.stderr,
+    fileSystem: { root: process.cwd() },
+    color: Boolean(process.stderr.isTTY) && !process.env.NO_COLOR
+  });
+}
 
 function main() {
   const args = process.argv.slice(2);
+  if (args[0] === "fmt") {
+    formatFiles(args.slice(1));
+    return;
+  }
+  if (args[0] === "lint") {
+    lintFiles(args.slice(1));
+    return;
+  }
+  if (args[0] === "lsp") {
+    startLanguageServer();
+    return;
+  }
 
-  if (args.length > 1) {
-    console.log("Usage: node oxente.js [script.oxe]");
+  const flags = args.filter((arg) => arg.startsWith("--"));
+  const paths = args.filter((arg) => !arg.startsWith("--"));
+
+  const dumping = flags.some((flag) => DUMP_FLAGS.includes(flag));
+
+  if (paths.length > 1 || flags.some((flag) => !FLAGS.includes(flag)) || (dumping && paths.length === 0)) {
+    console.log("Usage: oxente [--vm] [--optimize] [script.oxe]");
+    console.log("       oxente [--optimize] [--dump-tokens] [--dump-ast | --dump-ast=json] script.oxe");
+    console.log("       oxente fmt [--check] [script.oxe ...]");
+    console.log("       oxente lint script.oxe ...");
+    console.log("       oxente lsp");
     process.exit(64); 
-  } else if (args.length === 1) {
-    runFile(args[0]);
+  } else if (dumping) {
+    dumpFile(paths[0], flags);
+  } else if (paths.length === 1) {
+    runFile(paths[0], flags);
   } else {
-    runPrompt();
+    runPrompt(flags);
   }
 }
 
-function runFile(path) {
+/**
+ * Reads a script, exiting if it can't be read.
+ * @param {string} path
+ * @returns {string}
+ */
+function readScript(path) {
   try {
-    const source = fs.readFileSync(path, 'utf8');
-    run(source);
-    if (hadError) process.exit(65);
-    if (hadRuntimeError) process.exit(70);
+    return fs.readFileSync(path, 'utf8');
   } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'EISDIR' && error.code !== 'EACCES') throw error;
     console.error(`Error reading file: ${path}`);
     process.exit(74);
   }
 }
 
-function runPrompt() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    prompt: '> '
-  });
+function runFile(path, flags) {
+  const oxente = createCliEngine(flags);
+  const result = oxente.run(readScript(path), path);
 
-  rl.prompt();
+  if (result.runtimeError !== null) process.exit(70);
+  if (!result.ok) process.exit(65);
+}
 
-  rl.on('line', (line) => {
-    run(line);
-    hadError = false;
-    hadRuntimeError = false;
-    rl.prompt();
-  });
+/**
+ * Prints the tokens and syntax tree of a script without running it.
+ * Whatever could be parsed is printed even when there are errors.
+ * @param {string} path
+ * @param {string[]} flags
+ */
+function dumpFile(path, flags) {
+  const oxente = createCliEngine(flags);
+  const result = oxente.inspect(readScript(path), path);
 
-  rl.on('close', () => {
-    console.log('\nExiting.');
-    process.exit(0);
-  });
+  if (flags.includes("--dump-tokens")) {
+    for (const token of result.tokens) {
+      console.log(`${token.line}:${token.column}\t${token.type}\t${JSON.stringify(token.lexeme)}`);
+    }
+  }
+  if (flags.includes("--dump-ast")) {
+    console.log(new AstPrinter().printProgram(result.statements));
+  }
+  if (flags.includes("--dump-ast=json")) {
+    console.log(JSON.stringify(new AstSerializer().serializeProgram(result.statements), null, 2));
+  }
+
+  if (!result.ok) process.exit(65);
 }
 
 /**
- * The core function that runs the source code.
- * @param {string} source - The source code to execute.
+ * Formats scripts in place, or standard input to standard output when no
+ * scripts are given. With --check, nothing is written; the scripts that
+ * aren't formatted are listed and the exit code is 1.
+ * @param {string[]} args The arguments after 'fmt'.
  */
-function run(source) {
-  const scanner = new Scanner(source, error);
-  const tokens = scanner.scanTokens();
+function formatFiles(args) {
+  const check = args.includes("--check");
+  const paths = args.filter((arg) => arg !== "--check");
+  if (paths.some((path) => path.startsWith("--"))) {
+    console.log("Usage: oxente fmt [--check] [script.oxe ...]");
+    process.exit(64);
+  }
+
+  const oxente = createCliEngine([]);
+  if (paths.length === 0) {
+    const source = fs.readFileSync(0, 'utf8');
+    const result = oxente.format(source);
+    if (!result.ok) process.exit(65);
+    if (check) process.exit(result.output === source ? 0 : 1);
+    process.stdout.write(result.output);
+    return;
+  }
+
+  let exitCode = 0;
+  for (const path of paths) {
+    const source = readScript(path);
+    const result = oxente.format(source, path);
+    if (!result.ok) {
+      exitCode = 65;
+    } else if (result.output !== source) {
+      if (check) {
+        console.log(path);
+        if (exitCode === 0) exitCode = 1;
+      } else {
+        fs.writeFileSync(path, result.output);
+      }
+    }
+  }
+  process.exit(exitCode);
+}
 
-  const parser = new Parser(tokens, error);
-  const expression = parser.parse();
-  
-  if (hadError) return;
+/**
+ * Lints scripts, exiting with 1 if any has compile errors or findings set to "error".
+ * @param {string[]} paths
+ */
+function lintFiles(paths) {
+  if (paths.length === 0 || paths.some((arg) => arg.startsWith("--"))) {
+    console.log("Usage: oxente lint script.oxe ...");
+    process.exit(64);
+  }
 
-  interpreter.interpret(expression);
+  const oxente = createCliEngine([]);
+  let exitCode = 0;
+  for (const script of paths) {
+    const source = readScript(script);
+    const result = oxente.lint(source, script, readLintRules(path.dirname(path.resolve(script))));
+    if (!result.ok) exitCode = 1;
+  }
+  process.exit(exitCode);
 }
 
-function error(line, message) {
-  if (line instanceof Token) {
-    const token = line;
-    if (token.type === TokenType.EOF) {
-      report(token.line, " at end", message);
-    } else {
-      report(token.line, ` at '${token.lexeme}'`, message);
+/**
+ * Reads the rules of the nearest lint config, exiting if it is invalid.
+ * @param {string} directory Where to start looking.
+ * @returns {Object<string, string>} The configured rules, or none if there is no config.
+ */
+function readLintRules(directory) {
+  for (let current = directory; ; current = path.dirname(current)) {
+    const file = path.join(current, LINT_CONFIG);
+    if (fs.existsSync(file)) {
+      try {
+        const rules = JSON.parse(fs.readFileSync(file, 'utf8')).rules ?? {};
+        new Linter(rules);
+        return rules;
+      } catch (error) {
+        console.error(`Invalid ${file}: ${error.message}`);
+        process.exit(78);
+      }
     }
-  } else {
-    report(lineOrToken, "", message);
+    if (path.dirname(current) === current) return {};
   }
 }
 
-function runtimeError(error) {
-  console.error(`Runtime Error: ${error.message} [line ${error.token.line}]`);
-  hadRuntimeError = true;
+/**
+ * Runs the language server, talking to the editor over standard input and output.
+ */
+function startLanguageServer() {
+  const connection = new Connection(process.stdin, process.stdout);
+  new LanguageServer(connection, { onExit: (code) => process.exit(code) });
+  connection.listen();
 }
 
-function report(line, where, message) {
-  console.error(`[line ${line}] Error${where}: ${message}`);
-  hadError = true;
+function runPrompt(flags) {
+  const oxente = createCliEngine(flags);
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: '> '
+  });
+
+  rl.prompt();
+
+  rl.on('line', (line) => {
+    oxente.run(line);
+    rl.prompt();
+  });
+
+  rl.on('close', () => {
+    console.log('\nExiting.');
+    process.exit(0);
+  });
 }
 
-main();
\ No newline at end of file
+if (require.main === module) {
+  main();
+}
@@ -2,6 +2,8 @@ const TokenType = require('./TokenType');
 const Expr = require('./Expr');
 const Token = require('./Token');
 const Stmt = require('./Stmt');
+const Span = require('./Span');
+const ErrorCode = require('./ErrorCode');
 
 class ParseError extends Error {}
 
@@ -9,7 +11,10 @@ class ParseError extends Error {}
 /**
   program        → declaration* EOF ;
 
-  declaration    → funDecl
+  declaration    → importDecl
+                | exportDecl
+                | classDecl
+                | funDecl
                 | varDecl
                 | statement ;
 
@@ -20,10 +25,18 @@ class ParseError extends Error {}
                 | whileStmt
                 | forStmt
                 | breakStmt
+                | continueStmt
+                | tryStmt
+                | throwStmt
                 | block ;
 
+  importDecl     → "import" STRING ( "as" IDENTIFIER )? ";" ;
+  exportDecl     → "export" ( classDecl | funDecl | varDecl ) ;
+  classDecl      → "class" IDENTIFIER ( "<" IDENTIFIER )? "{" function* "}" ;
   funDecl        → "fun" function ;
   function       → IDENTIFIER "(" parameters? ")" block ;
+  lambda         → "fun" "(" parameters? ")" block
+                | "(" parameters? ")" "=>" expression ;
   parameters     → IDENTIFIER ( "," IDENTIFIER )* ;
 
   varDecl        → "var" IDENTIFIER ( "=" expression )? ";" ;
@@ -35,20 +48,32 @@ class ParseError extends Error {}
   whileStmt      → "while" "(" expression ")" statement ;
   forStmt        → "for" "(" ( varDecl | exprStmt | ";" ) expression? ";" expression? ")" statement ;
   breakStmt      → "break" ";" ;
+  continueStmt   → "continue" ";" ;
+  tryStmt        → "try" block ( "catch" "(" IDENTIFIER ")" block )? ( "finally" block )? ;
+  throwStmt      → "throw" expression ";" ;
 
   expression     → assignment ;
-  assignment     → IDENTIFIER "=" assignment | comma ;
+  assignment     → ( call "." )? IDENTIFIER "=" assignment
+                | call "[" expression "]" "=" assignment | comma ;
   comma          → ternary ( ( "," ) ternary )* ;
   ternary        → equality ( "?" expression ":" ternary )? ;
   equality       → comparison ( ( "!=" | "==" ) comparison )* ;
   comparison     → term ( ( ">" | ">=" | "<" | "<=" ) term )* ;
   term           → factor ( ( "-" | "+" ) factor )* ;
-  factor         → unary ( ( "/" | "*" ) unary )* ;
+  factor         → unary ( ( "/" | "*" | "%" | "~/" ) unary )* ;
   unary          → ( "!" | "-" ) unary | call ;
-  call           → primary ( "(" arguments? ")" )* ;
+  call           → primary ( "(" arguments? ")" | "." IDENTIFIER | "[" expression "]" )* ;
   arguments      → expression ( "," expression )* ;
   primary        → NUMBER | STRING | "true" | "false" | "nil"
-                | "(" expression ")" | IDENTIFIER ;
+                | "this" | "(" expression ")" | IDENTIFIER
+                | "super" "." IDENTIFIER | lambda
+                | "[" arguments? "]" | "{" entries? "}" ;
+  entries        → expression ":" expression ( "," expression ":" expression )* ;
+
+  'as' is not a reserved word; it is only special right after an import path.
+
+  A '{' at the start of a statement always opens a block. Map literals are only
+  parsed where an expression is expected, e.g. `var m = {};` or `print {"a": 1};`.
   */
 
 /**
@@ -59,7 +84,7 @@ class ParseError extends Error {}
 class Parser {
   /**
    * @param {Token[]} tokens The list of tokens from the Scanner.
-   * @param {function(Token, string): void} errorReporter A function to report errors.
+   * @param {function(Token, string, string): void} errorReporter A function to report errors.
    */
   constructor(tokens, errorReporter) {
     this.tokens = tokens;
@@ -86,7 +111,13 @@ class Parser {
   // Grammar Rule Methods for Statements:
   declaration() {
     try {
-      if (this.match(TokenType.FUN)) return this.function("function");
+      if (this.match(TokenType.IMPORT)) return this.importDeclaration();
+      if (this.match(TokenType.EXPORT)) return this.exportDeclaration();
+      if (this.match(TokenType.CLASS)) return this.classDeclaration();
+      if (this.check(TokenType.FUN) && this.checkNext(TokenType.IDENTIFIER)) {
+        this.advance();
+        return this.function("function");
+      }
       if (this.match(TokenType.VAR)) return this.varDeclaration();
       return this.statement();
     } catch (error) {
@@ -98,10 +129,79 @@ class Parser {
     }
   }
 
+  importDeclaration() {
+    const keyword = this.previous();
+    const path = this.consume(TokenType.STRING, "Expect module path after 'import'.");
+
+    let alias = null;
+    if (this.check(TokenType.IDENTIFIER) && this.peek().lexeme === "as") {
+      this.advance();
+      alias = this.consume(TokenType.IDENTIFIER, "Expect module name after 'as'.");
+    }
+
+    this.consume(TokenType.SEMICOLON, "Expect ';' after import.");
+    return this.spanned(new Stmt.Import(keyword, path, alias), keyword);
+  }
+
+  exportDeclaration() {
+    const keyword = this.previous();
+    let declaration;
+    if (this.match(TokenType.CLASS)) {
+      declaration = this.classDeclaration();
+    } else if (this.match(TokenType.FUN)) {
+      declaration = this.function("function");
+    } else if (this.match(TokenType.VAR)) {
+      declaration = this.varDeclaration();
+    } else {
+      throw this.error(this.peek(), "Expect 'var', 'fun' or 'class' after 'export'.");
+    }
+    return this.spanned(new Stmt.Export(keyword, declaration), keyword);
+  }
+
+  classDeclaration() {
+    const keyword = this.previous();
+    const name = this.consume(TokenType.IDENTIFIER, "Expect class name.");
+
+    let superclass = null;
+    if (this.match(TokenType.LESS)) {
+      this.consume(TokenType.IDENTIFIER, "Expect superclass name.");
+      superclass = this.spanned(new Expr.Variable(this.previous()), this.previous());
+
+      if (superclass.name.lexeme === name.lexeme) {
+        this.error(superclass.name, "A class can't inherit from itself.");
+      }
+    }
+
+    this.consume(TokenType.LEFT_BRACE, "Expect '{' before class body.");
+
+    const methods = [];
+    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
+      methods.push(this.function("method"));
+    }
+
+    this.consume(TokenType.RIGHT_BRACE, "Expect '}' after class body.");
+    return this.spanned(new Stmt.Class(name, superclass, methods), keyword);
+  }
+
   function(kind) {
+    // Methods have no 'fun' keyword, so their span starts at the name.
+    const start = kind === "method" ? this.peek() : this.previous();
     const name = this.consume(TokenType.IDENTIFIER, `Expect ${kind} name.`);
     this.consume(TokenType.LEFT_PAREN, `Expect '(' after ${kind} name.`);
+    const parameters = this.parameters();
+
+    this.consume(TokenType.LEFT_BRACE, `Expect '{' before ${kind} body.`);
+    const body = this.functionBody();
     
+    return this.spanned(new Stmt.Function(name, parameters, body), start);
+  }
+
+  /**
+   * Parses a parameter list up to and including the closing ')'.
+   * The opening '(' must already have been consumed.
+   * @returns {Token[]}
+   */
+  parameters() {
     const parameters = [];
     if (!this.check(TokenType.RIGHT_PAREN)) {
       do {
@@ -112,32 +212,42 @@ class Parser {
       } while (this.match(TokenType.COMMA));
     }
     this.consume(TokenType.RIGHT_PAREN, "Expect ')' after parameters.");
-    
-    this.consume(TokenType.LEFT_BRACE, `Expect '{' before ${kind} body.`);
-    const body = this.block();
-    
-    return new Stmt.Function(name, parameters, body);
+    return parameters;
   }
 
   statement() {
     if (this.match(TokenType.BREAK)) return this.breakStatement();
+    if (this.match(TokenType.CONTINUE)) return this.continueStatement();
     if (this.match(TokenType.RETURN)) return this.returnStatement();
+    if (this.match(TokenType.TRY)) return this.tryStatement();
+    if (this.match(TokenType.THROW)) return this.throwStatement();
     if (this.match(TokenType.FOR)) return this.forStatement();
     if (this.match(TokenType.IF)) return this.ifStatement();
     if (this.match(TokenType.PRINT)) return this.printStatement();
     if (this.match(TokenType.WHILE)) return this.whileStatement();
     if (this.match(TokenType.LEFT_BRACE)) {
-      return new Stmt.Block(this.block());
+      const brace = this.previous();
+      return this.spanned(new Stmt.Block(this.block()), brace);
     }
     return this.expressionStatement();
   }
 
   breakStatement() {
+    const keyword = this.previous();
     if (this.loopDepth == 0) {
       this.error(this.previous(), "Must be inside a loop to use 'break'.");
     }
     this.consume(TokenType.SEMICOLON, "Expect ';' after 'break'.");
-    return new Stmt.Break();
+    return this.spanned(new Stmt.Break(), keyword);
+  }
+
+  continueStatement() {
+    const keyword = this.previous();
+    if (this.loopDepth == 0) {
+      this.error(this.previous(), "Must be inside a loop to use 'continue'.");
+    }
+    this.consume(TokenType.SEMICOLON, "Expect ';' after 'continue'.");
+    return this.spanned(new Stmt.Continue(), keyword);
   }
 
   returnStatement() {
@@ -148,10 +258,46 @@ class Parser {
     }
 
     this.consume(TokenType.SEMICOLON, "Expect ';' after return value.");
-    return new Stmt.Return(keyword, value);
+    return this.spanned(new Stmt.Return(keyword, value), keyword);
+  }
+
+  tryStatement() {
+    const keyword = this.previous();
+    this.consume(TokenType.LEFT_BRACE, "Expect '{' after 'try'.");
+    const body = this.block();
+
+    let catchName = null;
+    let catchBody = null;
+    if (this.match(TokenType.CATCH)) {
+      this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'catch'.");
+      catchName = this.consume(TokenType.IDENTIFIER, "Expect error variable name.");
+      this.consume(TokenType.RIGHT_PAREN, "Expect ')' after error variable.");
+      this.consume(TokenType.LEFT_BRACE, "Expect '{' before catch body.");
+      catchBody = this.block();
+    }
+
+    let finallyBody = null;
+    if (this.match(TokenType.FINALLY)) {
+      this.consume(TokenType.LEFT_BRACE, "Expect '{' after 'finally'.");
+      finallyBody = this.block();
+    }
+
+    if (catchBody === null && finallyBody === null) {
+      throw this.error(this.peek(), "Expect 'catch' or 'finally' after try block.");
+    }
+
+    return this.spanned(new Stmt.Try(keyword, body, catchName, catchBody, finallyBody), keyword);
+  }
+
+  throwStatement() {
+    const keyword = this.previous();
+    const value = this.expression();
+    this.consume(TokenType.SEMICOLON, "Expect ';' after thrown value.");
+    return this.spanned(new Stmt.Throw(keyword, value), keyword);
   }
 
   ifStatement() {
+    const keyword = this.previous();
     this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'if'.");
     const condition = this.expression();
     this.consume(TokenType.RIGHT_PAREN, "Expect ')' after if condition.");
@@ -162,11 +308,11 @@ class Parser {
       elseBranch = this.statement();
     }
 
-    return new Stmt.If(condition, thenBranch, elseBranch);
+    return this.spanned(new Stmt.If(condition, thenBranch, elseBranch), keyword);
   }
 
   forStatement() {
-    this.loopDepth++;
+    const keyword = this.previous();
     this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'for'.");
 
     let initializer;
@@ -190,35 +336,46 @@ class Parser {
     }
     this.consume(TokenType.RIGHT_PAREN, "Expect ')' after for clauses.");
 
-    let body = this.statement();
-
-    if (increment !== null) {
-      body = new Stmt.Block([
-        body,
-        new Stmt.Expression(increment)
-      ]);
-    }
-
-    if (condition === null) condition = new Expr.Literal(true);
-    body = new Stmt.While(condition, body);
-
-    if (initializer !== null) {
-      body = new Stmt.Block([initializer, body]);
-    }
-    
-    this.loopDepth--;
-    return body;
+    const body = this.loopBody();
+    return this.spanned(new Stmt.For(initializer, condition, increment, body), keyword);
   }
 
   whileStatement() {
-    this.loopDepth++;
+    const keyword = this.previous();
     this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'while'.");
     const condition = this.expression();
     this.consume(TokenType.RIGHT_PAREN, "Expect ')' after condition.");
-    const body = this.statement();
+    const body = this.loopBody();
+
+    return this.spanned(new Stmt.While(condition, body), keyword);
+  }
+
+  /**
+   * Parses the body of a loop, where 'break' and 'continue' are allowed.
+   * @returns {Stmt}
+   */
+  loopBody() {
+    this.loopDepth++;
+    try {
+      return this.statement();
+    } finally {
+      this.loopDepth--;
+    }
+  }
 
-    this.loopDepth--;
-    return new Stmt.While(condition, body);
+  /**
+   * Parses the body of a function. 'break' and 'continue' can't cross a
+   * function boundary, even if the function is declared inside a loop.
+   * @returns {Stmt[]}
+   */
+  functionBody() {
+    const enclosingLoopDepth = this.loopDepth;
+    this.loopDepth = 0;
+    try {
+      return this.block();
+    } finally {
+      this.loopDepth = enclosingLoopDepth;
+    }
   }
 
   block() {
@@ -231,25 +388,28 @@ class Parser {
   }
 
   varDeclaration() {
+    const keyword = this.previous();
     const name = this.consume(TokenType.IDENTIFIER, "Expect variable name.");
     let initializer = null;
     if (this.match(TokenType.EQUAL)) {
       initializer = this.expression();
     }
     this.consume(TokenType.SEMICOLON, "Expect ';' after variable declaration.");
-    return new Stmt.Var(name, initializer);
+    return this.spanned(new Stmt.Var(name, initializer), keyword);
   }
 
   printStatement() {
+    const keyword = this.previous();
     const value = this.expression();
     this.consume(TokenType.SEMICOLON, "Expect ';' after value.");
-    return new Stmt.Print(value);
+    return this.spanned(new Stmt.Print(value), keyword);
   }
 
   expressionStatement() {
+    const start = this.peek();
     const expr = this.expression();
     this.consume(TokenType.SEMICOLON, "Expect ';' after expression.");
-    return new Stmt.Expression(expr);
+    return this.spanned(new Stmt.Expression(expr), start);
   }
 
   // Gramar Rule Methods for Expressions:
@@ -258,6 +418,7 @@ class Parser {
   }
 
   assignment() {
+    const start = this.peek();
     const expr = this.ternary();
 
     if (this.match(TokenType.EQUAL)) {
@@ -266,7 +427,11 @@ class Parser {
 
       if (expr instanceof Expr.Variable) {
         const name = expr.name;
-        return new Expr.Assign(name, value);
+        return this.spanned(new Expr.Assign(name, value), start);
+      } else if (expr instanceof Expr.Get) {
+        return this.spanned(new Expr.Set(expr.object, expr.name, value), start);
+      } else if (expr instanceof Expr.Index) {
+        return this.spanned(new Expr.IndexSet(expr.object, expr.bracket, expr.index, value), start);
       }
 
       this.error(equals, "Invalid assignment target.");
@@ -276,31 +441,34 @@ class Parser {
   }
 
   comma() {
+    const start = this.peek();
     let expr = this.assignment(); 
     while (this.match(TokenType.COMMA)) {
       const operator = this.previous();
       const right = this.assignment();
-      expr = new Expr.Binary(expr, operator, right);
+      expr = this.spanned(new Expr.Binary(expr, operator, right), start);
     }
     return expr;
   }
 
   ternary() {
+    const start = this.peek();
     let expr = this.equality();
     if (this.match(TokenType.QUESTION)) {
       const thenBranch = this.expression();
       this.consume(TokenType.COLON, "Expect ':' after then branch of conditional expression.");
       const elseBranch = this.ternary();
-      expr = new Expr.Ternary(expr, thenBranch, elseBranch);
+      expr = this.spanned(new Expr.Ternary(expr, thenBranch, elseBranch), start);
     }
     return expr;
   }
 
   equality() {
+    const start = this.peek();
     if (this.match(TokenType.BANG_EQUAL, TokenType.EQUAL_EQUAL)) {
       this.error(this.previous(), "Missing left-hand operand.");
       this.comparison();
-      return new Expr.Literal(null);
+      return this.spanned(new Expr.Literal(null), start);
     }
 
     let expr = this.comparison();
@@ -308,16 +476,17 @@ class Parser {
     while (this.match(TokenType.BANG_EQUAL, TokenType.EQUAL_EQUAL)) {
       const operator = this.previous();
       const right = this.comparison();
-      expr = new Expr.Binary(expr, operator, right);
+      expr = this.spanned(new Expr.Binary(expr, operator, right), start);
     }
     return expr;
   }
   
   comparison() {
+    const start = this.peek();
     if (this.match(TokenType.GREATER, TokenType.GREATER_EQUAL, TokenType.LESS, TokenType.LESS_EQUAL)) {
       this.error(this.previous(), "Missing left-hand operand.");
       this.term();
-      return new Expr.Literal(null);
+      return this.spanned(new Expr.Literal(null), start);
     }
 
     let expr = this.term();
@@ -325,16 +494,17 @@ class Parser {
     while (this.match(TokenType.GREATER, TokenType.GREATER_EQUAL, TokenType.LESS, TokenType.LESS_EQUAL)) {
       const operator = this.previous();
       const right = this.term();
-      expr = new Expr.Binary(expr, operator, right);
+      expr = this.spanned(new Expr.Binary(expr, operator, right), start);
     }
     return expr;
   }
   
   term() {
+    const start = this.peek();
     if (this.match(TokenType.PLUS)) {
       this.error(this.previous(), "Missing left-hand operand.");
       this.factor();
-      return new Expr.Literal(null);
+      return this.spanned(new Expr.Literal(null), start);
     }
 
     let expr = this.factor();
@@ -342,45 +512,55 @@ class Parser {
     while (this.match(TokenType.MINUS, TokenType.PLUS)) {
       const operator = this.previous();
       const right = this.factor();
-      expr = new Expr.Binary(expr, operator, right);
+      expr = this.spanned(new Expr.Binary(expr, operator, right), start);
     }
     
     return expr;
   }
   
   factor() {
-    if (this.match(TokenType.SLASH, TokenType.STAR)) {
+    const start = this.peek();
+    if (this.match(TokenType.SLASH, TokenType.STAR, TokenType.PERCENT, TokenType.TILDE_SLASH)) {
       this.error(this.previous(), "Missing left-hand operand.");
       this.unary();
-      return new Expr.Literal(null);
+      return this.spanned(new Expr.Literal(null), start);
     }
 
     let expr = this.unary();
 
-    while (this.match(TokenType.SLASH, TokenType.STAR)) {
+    while (this.match(TokenType.SLASH, TokenType.STAR, TokenType.PERCENT, TokenType.TILDE_SLASH)) {
       const operator = this.previous();
       const right = this.unary();
-      expr = new Expr.Binary(expr, operator, right);
+      expr = this.spanned(new Expr.Binary(expr, operator, right), start);
     }
 
     return expr;
   }
 
   unary() {
+    const start = this.peek();
     if (this.match(TokenType.BANG, TokenType.MINUS)) {
       const operator = this.previous();
       const right = this.unary();
-      return new Expr.Unary(operator, right);
+      return this.spanned(new Expr.Unary(operator, right), start);
     }
 
     return this.call();
   }
 
   call() {
-    let expr = this.primary();
+    const start = this.peek();
+    let expr = this.spanned(this.primary(), start);
     while (true) {
       if (this.match(TokenType.LEFT_PAREN)) {
-        expr = this.finishCall(expr);
+        expr = this.spanned(this.finishCall(expr), start);
+      } else if (this.match(TokenType.DOT)) {
+        const name = this.consume(TokenType.IDENTIFIER, "Expect property name after '.'.");
+        expr = this.spanned(new Expr.Get(expr, name), start);
+      } else if (this.match(TokenType.LEFT_BRACKET)) {
+        const index = this.expression();
+        const bracket = this.consume(TokenType.RIGHT_BRACKET, "Expect ']' after index.");
+        expr = this.spanned(new Expr.Index(expr, bracket, index), start);
       } else {
         break;
       }
@@ -403,6 +583,93 @@ class Parser {
     return new Expr.Call(callee, paren, args);
   }
   
+  /**
+   * Parses the rest of a list literal. The opening '[' must already have been consumed.
+   * @returns {Expr.List}
+   */
+  list() {
+    const bracket = this.previous();
+    const elements = [];
+    if (!this.check(TokenType.RIGHT_BRACKET)) {
+      do {
+        elements.push(this.expression());
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_BRACKET, "Expect ']' after list elements.");
+    return new Expr.List(bracket, elements);
+  }
+
+  /**
+   * Parses the rest of a map literal. The opening '{' must already have been consumed.
+   * @returns {Expr.Map}
+   */
+  map() {
+    const brace = this.previous();
+    const keys = [];
+    const values = [];
+    if (!this.check(TokenType.RIGHT_BRACE)) {
+      do {
+        keys.push(this.expression());
+        this.consume(TokenType.COLON, "Expect ':' after map key.");
+        values.push(this.expression());
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_BRACE, "Expect '}' after map entries.");
+    return new Expr.Map(brace, keys, values);
+  }
+
+  /**
+   * Parses the rest of a 'fun' lambda. The 'fun' keyword must already have been consumed.
+   * @returns {Expr.Lambda}
+   */
+  lambda() {
+    const keyword = this.previous();
+    this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'fun'.");
+    const parameters = this.parameters();
+
+    this.consume(TokenType.LEFT_BRACE, "Expect '{' before function body.");
+    const body = this.functionBody();
+
+    return new Expr.Lambda(keyword, parameters, body);
+  }
+
+  /**
+   * Parses the rest of an arrow function. The opening '(' must already have been consumed.
+   * Its single-expression body is treated as an implicit return.
+   * @returns {Expr.Lambda}
+   */
+  arrowFunction() {
+    const parameters = this.parameters();
+    const arrow = this.consume(TokenType.ARROW, "Expect '=>' after parameters.");
+    const value = this.expression();
+
+    const body = new Stmt.Return(arrow, value);
+    body.span = value.span;
+
+    return new Expr.Lambda(arrow, parameters, [body]);
+  }
+
+  /**
+   * Looks ahead from the current '(' to see whether it starts the
+   * parameter list of an arrow function rather than a grouping.
+   * @returns {boolean}
+   */
+  isArrowFunction() {
+    let index = this.current + 1;
+    if (this.tokens[index].type !== TokenType.RIGHT_PAREN) {
+      while (true) {
+        if (this.tokens[index].type !== TokenType.IDENTIFIER) return false;
+        index++;
+        if (this.tokens[index].type !== TokenType.COMMA) break;
+        index++;
+      }
+      if (this.tokens[index].type !== TokenType.RIGHT_PAREN) return false;
+    }
+    return this.tokens[index + 1].type === TokenType.ARROW;
+  }
+
   primary() {
     if (this.match(TokenType.FALSE)) return new Expr.Literal(false);
     if (this.match(TokenType.TRUE)) return new Expr.Literal(true);
@@ -411,10 +678,30 @@ class Parser {
       return new Expr.Literal(this.previous().literal);
     }
 
+    if (this.match(TokenType.SUPER)) {
+      const keyword = this.previous();
+      this.consume(TokenType.DOT, "Expect '.' after 'super'.");
+      const method = this.consume(TokenType.IDENTIFIER, "Expect superclass method name.");
+      return new Expr.Super(keyword, method);
+    }
+
+    if (this.match(TokenType.THIS)) return new Expr.This(this.previous());
+
     if (this.match(TokenType.IDENTIFIER)) {
       return new Expr.Variable(this.previous());
     }
 
+    if (this.match(TokenType.FUN)) return this.lambda();
+
+    if (this.match(TokenType.LEFT_BRACKET)) return this.list();
+
+    if (this.match(TokenType.LEFT_BRACE)) return this.map();
+
+    if (this.check(TokenType.LEFT_PAREN) && this.isArrowFunction()) {
+      this.advance();
+      return this.arrowFunction();
+    }
+
     if (this.match(TokenType.LEFT_PAREN)) {
       const expr = this.expression();
       this.consume(TokenType.RIGHT_PAREN, "Expect ')' after expression.");
@@ -444,6 +731,12 @@ class Parser {
     return this.peek().type === type;
   }
   
+  checkNext(type) {
+    if (this.isAtEnd()) return false;
+    if (this.tokens[this.current + 1].type === TokenType.EOF) return false;
+    return this.tokens[this.current + 1].type === type;
+  }
+
   advance() {
     if (!this.isAtEnd()) this.current++;
     return this.previous();
@@ -461,8 +754,19 @@ class Parser {
     return this.tokens[this.current - 1];
   }
 
+  /**
+   * Attaches the span running from `start` through the last consumed token to a node.
+   * @param {Expr | Stmt} node The freshly built node.
+   * @param {Token} start The first token of the node.
+   * @returns {Expr | Stmt} The same node.
+   */
+  spanned(node, start) {
+    node.span = Span.between(start, this.previous());
+    return node;
+  }
+
   error(token, message) {
-    this.errorReporter(token, message);
+    this.errorReporter(token, message, ErrorCode.SYNTAX);
     return new ParseError();
   }
 
@@ -479,6 +783,10 @@ class Parser {
         case TokenType.WHILE:
         case TokenType.PRINT: 
         case TokenType.RETURN:
+        case TokenType.TRY:
+        case TokenType.THROW:
+        case TokenType.IMPORT:
+        case TokenType.EXPORT:
           return;
       }
       this.advance();
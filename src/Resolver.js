@@ -0,0 +1,436 @@
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * An object that acts as an enum for the kinds of function bodies
+ * the resolver can be inside of.
+ */
+const FunctionType = Object.freeze({
+  NONE:        'NONE',
+  FUNCTION:    'FUNCTION',
+  INITIALIZER: 'INITIALIZER',
+  METHOD:      'METHOD'
+});
+
+/**
+ * An object that acts as an enum for the kinds of class bodies
+ * the resolver can be inside of.
+ */
+const ClassType = Object.freeze({
+  NONE:     'NONE',
+  CLASS:    'CLASS',
+  SUBCLASS: 'SUBCLASS'
+});
+
+/**
+ * The Resolver is a static analysis pass that runs between the Parser and the
+ * Interpreter. It walks the AST once, tracking block scopes, and tells the
+ * Interpreter how many environments away each local variable lives. Variables
+ * it can't find in any local scope are assumed to be global.
+ */
+class Resolver {
+  /**
+   * @param {Interpreter} interpreter The interpreter that will store the resolved depths.
+   * @param {function(Token, string, string): void} errorReporter A function to report errors.
+   */
+  constructor(interpreter, errorReporter) {
+    this.interpreter = interpreter;
+    this.errorReporter = errorReporter;
+    /**
+     * A stack of local scopes. Each scope maps a variable name to whether
+     * its initializer has finished resolving.
+     * @type {Map<string, boolean>[]}
+     */
+    this.scopes = [];
+    this.currentFunction = FunctionType.NONE;
+    this.currentClass = ClassType.NONE;
+    /**
+     * How many statements and expressions enclose the node being resolved,
+     * counting it, inside the current function.
+     */
+    this.nesting = 0;
+  }
+
+  /**
+   * The main entry point. Resolves a list of statements.
+   * @param {Stmt[]} statements The list of statements to resolve.
+   */
+  resolve(statements) {
+    for (const statement of statements) {
+      this.resolveNode(statement);
+    }
+  }
+
+  // Statement resolution methods:
+  visitBlockStmt(stmt) {
+    this.beginScope();
+    this.resolve(stmt.statements);
+    this.endScope();
+    return null;
+  }
+
+  visitClassStmt(stmt) {
+    const enclosingClass = this.currentClass;
+    this.currentClass = ClassType.CLASS;
+
+    this.declare(stmt.name);
+    this.define(stmt.name);
+
+    if (stmt.superclass !== null) {
+      this.currentClass = ClassType.SUBCLASS;
+      this.resolveNode(stmt.superclass);
+
+      this.beginScope();
+      this.peekScope().set("super", true);
+    }
+
+    this.beginScope();
+    this.peekScope().set("this", true);
+
+    for (const method of stmt.methods) {
+      const declaration = method.name.lexeme === "init"
+        ? FunctionType.INITIALIZER
+        : FunctionType.METHOD;
+      this.resolveFunction(method, declaration);
+    }
+
+    this.endScope();
+
+    if (stmt.superclass !== null) this.endScope();
+
+    this.currentClass = enclosingClass;
+    return null;
+  }
+
+  visitExpressionStmt(stmt) {
+    this.resolveNode(stmt.expression);
+    return null;
+  }
+
+  visitFunctionStmt(stmt) {
+    this.declare(stmt.name);
+    this.define(stmt.name);
+
+    this.resolveFunction(stmt, FunctionType.FUNCTION);
+    return null;
+  }
+
+  visitIfStmt(stmt) {
+    this.resolveNode(stmt.condition);
+    this.resolveNode(stmt.thenBranch);
+    if (stmt.elseBranch !== null) this.resolveNode(stmt.elseBranch);
+    return null;
+  }
+
+  visitPrintStmt(stmt) {
+    this.resolveNode(stmt.expression);
+    return null;
+  }
+
+  visitReturnStmt(stmt) {
+    if (this.currentFunction === FunctionType.NONE) {
+      this.error(stmt.keyword, "Can't return from top-level code.");
+    }
+
+    if (stmt.value !== null) {
+      if (this.currentFunction === FunctionType.INITIALIZER) {
+        this.error(stmt.keyword, "Can't return a value from an initializer.");
+      }
+      this.resolveNode(stmt.value);
+    }
+    return null;
+  }
+
+  visitVariableStmt(stmt) {
+    this.declare(stmt.name);
+    if (stmt.initializer !== null) {
+      this.resolveNode(stmt.initializer);
+    }
+    this.define(stmt.name);
+    return null;
+  }
+
+  visitImportStmt(stmt) {
+    if (this.scopes.length > 0) {
+      this.error(stmt.keyword, "Can only import at the top level.");
+    }
+    return null;
+  }
+
+  visitExportStmt(stmt) {
+    if (this.scopes.length > 0) {
+      this.error(stmt.keyword, "Can only export from the top level.");
+    }
+    this.resolveNode(stmt.declaration);
+    return null;
+  }
+
+  visitTryStmt(stmt) {
+    this.beginScope();
+    this.resolve(stmt.body);
+    this.endScope();
+
+    if (stmt.catchBody !== null) {
+      this.beginScope();
+      this.declare(stmt.catchName);
+      this.define(stmt.catchName);
+      this.resolve(stmt.catchBody);
+      this.endScope();
+    }
+
+    if (stmt.finallyBody !== null) {
+      this.beginScope();
+      this.resolve(stmt.finallyBody);
+      this.endScope();
+    }
+    return null;
+  }
+
+  visitThrowStmt(stmt) {
+    this.resolveNode(stmt.value);
+    return null;
+  }
+
+  visitWhileStmt(stmt) {
+    this.resolveNode(stmt.condition);
+    this.resolveNode(stmt.body);
+    return null;
+  }
+
+  visitForStmt(stmt) {
+    this.beginScope();
+    if (stmt.initializer !== null) this.resolveNode(stmt.initializer);
+    if (stmt.condition !== null) this.resolveNode(stmt.condition);
+    if (stmt.increment !== null) this.resolveNode(stmt.increment);
+    this.resolveNode(stmt.body);
+    this.endScope();
+    return null;
+  }
+
+  visitBreakStmt() {
+    return null;
+  }
+
+  visitContinueStmt() {
+    return null;
+  }
+
+  // Expression resolution methods:
+  visitAssignExpr(expr) {
+    this.resolveNode(expr.value);
+    this.resolveLocal(expr, expr.name);
+    return null;
+  }
+
+  visitBinaryExpr(expr) {
+    this.resolveNode(expr.left);
+    this.resolveNode(expr.right);
+    return null;
+  }
+
+  visitCallExpr(expr) {
+    this.interpreter.resolveCall(expr.paren, this.nesting);
+    this.resolveNode(expr.callee);
+    for (const argument of expr.arguments) {
+      this.resolveNode(argument);
+    }
+    return null;
+  }
+
+  visitGetExpr(expr) {
+    this.resolveNode(expr.object);
+    return null;
+  }
+
+  visitGroupingExpr(expr) {
+    this.resolveNode(expr.expression);
+    return null;
+  }
+
+  visitLambdaExpr(expr) {
+    this.resolveFunction(expr, FunctionType.FUNCTION);
+    return null;
+  }
+
+  visitListExpr(expr) {
+    for (const element of expr.elements) {
+      this.resolveNode(element);
+    }
+    return null;
+  }
+
+  visitMapExpr(expr) {
+    for (let i = 0; i < expr.keys.length; i++) {
+      this.resolveNode(expr.keys[i]);
+      this.resolveNode(expr.values[i]);
+    }
+    return null;
+  }
+
+  visitIndexExpr(expr) {
+    this.resolveNode(expr.object);
+    this.resolveNode(expr.index);
+    return null;
+  }
+
+  visitIndexSetExpr(expr) {
+    this.resolveNode(expr.value);
+    this.resolveNode(expr.object);
+    this.resolveNode(expr.index);
+    return null;
+  }
+
+  visitLiteralExpr() {
+    return null;
+  }
+
+  visitSetExpr(expr) {
+    this.resolveNode(expr.value);
+    this.resolveNode(expr.object);
+    return null;
+  }
+
+  visitSuperExpr(expr) {
+    if (this.currentClass === ClassType.NONE) {
+      this.error(expr.keyword, "Can't use 'super' outside of a class.");
+    } else if (this.currentClass !== ClassType.SUBCLASS) {
+      this.error(expr.keyword, "Can't use 'super' in a class with no superclass.");
+    }
+
+    this.resolveLocal(expr, expr.keyword);
+    return null;
+  }
+
+  visitThisExpr(expr) {
+    if (this.currentClass === ClassType.NONE) {
+      this.error(expr.keyword, "Can't use 'this' outside of a class.");
+      return null;
+    }
+
+    this.resolveLocal(expr, expr.keyword);
+    return null;
+  }
+
+  visitTernaryExpr(expr) {
+    this.resolveNode(expr.condition);
+    this.resolveNode(expr.thenBranch);
+    this.resolveNode(expr.elseBranch);
+    return null;
+  }
+
+  visitUnaryExpr(expr) {
+    this.resolveNode(expr.right);
+    return null;
+  }
+
+  visitVariableExpr(expr) {
+    const scope = this.peekScope();
+    if (scope !== undefined && scope.get(expr.name.lexeme) === false) {
+      this.error(expr.name, "Can't read local variable in its own initializer.");
+    }
+
+    this.resolveLocal(expr, expr.name);
+    return null;
+  }
+
+  /**
+   * Resolves a single statement or expression node.
+   * @private
+   * @param {Stmt | Expr} node
+   */
+  resolveNode(node) {
+    this.nesting++;
+    node.accept(this);
+    this.nesting--;
+  }
+
+  /**
+   * Resolves a function's parameters and body inside a new scope.
+   * @private
+   * @param {Stmt.Function | Expr.Lambda} func The function declaration node.
+   * @param {string} type The kind of function being resolved.
+   */
+  resolveFunction(func, type) {
+    const enclosingFunction = this.currentFunction;
+    const enclosingNesting = this.nesting;
+    this.currentFunction = type;
+    this.nesting = 0;
+
+    this.beginScope();
+    for (const param of func.params) {
+      this.declare(param);
+      this.define(param);
+    }
+    this.resolve(func.body);
+    this.endScope();
+
+    this.currentFunction = enclosingFunction;
+    this.nesting = enclosingNesting;
+  }
+
+  /**
+   * Finds the innermost scope that declares the name and tells the
+   * interpreter how many scopes away it is. Globals are left unresolved, but the
+   * interpreter is told the local names in scope, to suggest one if the global is missing.
+   * @private
+   * @param {Expr} expr The expression that references the variable.
+   * @param {Token} name The token for the variable's name.
+   */
+  resolveLocal(expr, name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name.lexeme)) {
+        this.interpreter.resolve(expr, this.scopes.length - 1 - i);
+        return;
+      }
+    }
+
+    if (this.scopes.length > 0) {
+      const names = this.scopes.flatMap((scope) => [...scope.keys()]).reverse();
+      this.interpreter.resolveGlobal(name, names);
+    }
+  }
+
+  /**
+   * Adds a variable to the innermost scope, marking it as not ready yet.
+   * @private
+   * @param {Token} name The token for the variable's name.
+   */
+  declare(name) {
+    const scope = this.peekScope();
+    if (scope === undefined) return;
+
+    if (scope.has(name.lexeme)) {
+      this.error(name, "Already a variable with this name in this scope.");
+    }
+
+    scope.set(name.lexeme, false);
+  }
+
+  /**
+   * Marks a variable in the innermost scope as fully initialized.
+   * @private
+   * @param {Token} name The token for the variable's name.
+   */
+  define(name) {
+    const scope = this.peekScope();
+    if (scope === undefined) return;
+    scope.set(name.lexeme, true);
+  }
+
+  beginScope() {
+    this.scopes.push(new Map());
+  }
+
+  endScope() {
+    this.scopes.pop();
+  }
+
+  peekScope() {
+    return this.scopes[this.scopes.length - 1];
+  }
+
+  error(token, message) {
+    this.errorReporter(token, message, ErrorCode.RESOLUTION);
+  }
+}
+
+module.exports = Resolver;
@@ -1,4 +1,5 @@
 const Token = require('./Token');
+const ErrorCode = require('./ErrorCode');
 
 /**
  * A custom error class for reporting errors that occur during interpretation.
@@ -7,10 +8,23 @@ class RuntimeError extends Error {
   /**
    * @param {Token} token The token that caused the error.
    * @param {string} message The error message.
+   * @param {string} [code=ErrorCode.RUNTIME] The diagnostic code for this kind of error.
    */
-  constructor(token, message) {
+  constructor(token, message, code = ErrorCode.RUNTIME) {
     super(message);
     this.token = token;
+    this.code = code;
+    /**
+     * Extra hints shown below the error, e.g. a "did you mean" suggestion.
+     * @type {string[]}
+     */
+    this.help = [];
+    /**
+     * The user function calls that were active when the error was raised,
+     * innermost first. Null until the error leaves its first function.
+     * @type {{ name: string, token: Token }[] | null}
+     */
+    this.callStack = null;
   }
 }
 
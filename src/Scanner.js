@@ -1,12 +1,15 @@
 const Token = require('./Token');
+const Span = require('./Span');
+const ErrorCode = require('./ErrorCode');
 const TokenType = require('./TokenType');
 
 const {
-  LEFT_PAREN, RIGHT_PAREN, LEFT_BRACE, RIGHT_BRACE, COMMA, DOT, MINUS,
-  PLUS, SEMICOLON, SLASH, STAR, QUESTION, COLON, BANG, BANG_EQUAL, EQUAL, EQUAL_EQUAL,
-  GREATER, GREATER_EQUAL, LESS, LESS_EQUAL, IDENTIFIER, STRING, NUMBER,
+  LEFT_PAREN, RIGHT_PAREN, LEFT_BRACE, RIGHT_BRACE, LEFT_BRACKET, RIGHT_BRACKET, COMMA, DOT, MINUS,
+  PLUS, SEMICOLON, SLASH, STAR, PERCENT, TILDE_SLASH, QUESTION, COLON, BANG, BANG_EQUAL, EQUAL, EQUAL_EQUAL,
+  GREATER, GREATER_EQUAL, LESS, LESS_EQUAL, ARROW, IDENTIFIER, STRING, NUMBER,
   AND, CLASS, ELSE, FALSE, FUN, FOR, IF, NIL, OR, PRINT, RETURN, SUPER,
-  THIS, TRUE, VAR, WHILE, BREAK, EOF
+  THIS, TRUE, VAR, WHILE, BREAK, CONTINUE, IMPORT, EXPORT,
+  TRY, CATCH, FINALLY, THROW, COMMENT, EOF
 } = TokenType;
 
 // A map of reserved keywords to their token types.
@@ -27,7 +30,14 @@ const keywords = {
   "true":   TRUE,
   "var":    VAR,
   "while":  WHILE,
-  "break":  BREAK
+  "break":  BREAK,
+  "continue": CONTINUE,
+  "import": IMPORT,
+  "export": EXPORT,
+  "try":    TRY,
+  "catch":  CATCH,
+  "finally": FINALLY,
+  "throw":  THROW
 };
 
 /**
@@ -40,18 +50,33 @@ class Scanner {
   source;
   tokens = [];
   errorReporter;
+  fileName;
   start = 0;
   current = 0;
   line = 1;
+  lineStart = 0;
+  startLine = 1;
+  startColumn = 1;
+  /**
+   * Comments scanned since the last token, when comments are kept.
+   * @type {Token[]}
+   */
+  trivia = [];
 
   /**
    * Initializes the scanner.
    * @param {string} source The raw source code string to be scanned.
-   * @param {function(number, string): void} errorReporter A function to be called when a lexical error is found.
+   * @param {function(Span, string, string): void} errorReporter A function to be called when a lexical error is found.
+   * @param {string | null} [fileName=null] The name of the file being scanned, recorded on every token.
+   * @param {object} [options]
+   * @param {boolean} [options.keepComments=false] Whether comments are kept as the `trivia` of
+   *   the token that follows them, for tools like the formatter. They never become tokens.
    */
-  constructor(source, errorReporter) {
+  constructor(source, errorReporter, fileName = null, options = {}) {
     this.source = source;
     this.errorReporter = errorReporter;
+    this.fileName = fileName;
+    this.keepComments = options.keepComments ?? false;
   }
 
   /**
@@ -63,9 +88,13 @@ class Scanner {
   scanTokens() {
     while (!this.isAtEnd()) {
       this.start = this.current;
+      this.startLine = this.line;
+      this.startColumn = this.current - this.lineStart + 1;
       this.scanToken();
     }
-    this.tokens.push(new Token(EOF, "", null, this.line));
+    const eof = new Token(EOF, "", null, this.line, this.current, this.current - this.lineStart + 1, this.fileName);
+    this.attachTrivia(eof);
+    this.tokens.push(eof);
     return this.tokens;
   }
 
@@ -81,22 +110,42 @@ class Scanner {
       case ')': this.addToken(RIGHT_PAREN); break;
       case '{': this.addToken(LEFT_BRACE); break;
       case '}': this.addToken(RIGHT_BRACE); break;
+      case '[': this.addToken(LEFT_BRACKET); break;
+      case ']': this.addToken(RIGHT_BRACKET); break;
       case ',': this.addToken(COMMA); break;
       case '.': this.addToken(DOT); break;
       case '-': this.addToken(MINUS); break;
       case '+': this.addToken(PLUS); break;
       case ';': this.addToken(SEMICOLON); break;
       case '*': this.addToken(STAR); break;
+      case '%': this.addToken(PERCENT); break;
+      case '~':
+        // '~' is only valid as the start of the integer division operator.
+        if (this.match('/')) {
+          this.addToken(TILDE_SLASH);
+        } else {
+          this.error("Unexpected character.", ErrorCode.UNEXPECTED_CHARACTER);
+        }
+        break;
       case '?': this.addToken(QUESTION); break;
       case ':': this.addToken(COLON); break;
       case '!': this.addToken(this.match('=') ? BANG_EQUAL : BANG); break;
-      case '=': this.addToken(this.match('=') ? EQUAL_EQUAL : EQUAL); break;
+      case '=':
+        if (this.match('=')) {
+          this.addToken(EQUAL_EQUAL);
+        } else if (this.match('>')) {
+          this.addToken(ARROW);
+        } else {
+          this.addToken(EQUAL);
+        }
+        break;
       case '<': this.addToken(this.match('=') ? LESS_EQUAL : LESS); break;
       case '>': this.addToken(this.match('=') ? GREATER_EQUAL : GREATER); break;
       case '/':
         if (this.match('/')) {
           // A single-line comment goes until the end of the line.
           while (this.peek() !== '\n' && !this.isAtEnd()) this.advance();
+          this.addComment();
         } else if (this.match('*')) {
           this.blockComment();
         } else {
@@ -111,7 +160,7 @@ class Scanner {
         break;
 
       case '\n':
-        this.line++;
+        this.newline();
         break;
 
       case '"': this.string(); break;
@@ -122,7 +171,7 @@ class Scanner {
         } else if (this.isAlpha(c)) {
           this.identifier();
         } else {
-          this.errorReporter(this.line, "Unexpected character.");
+          this.error("Unexpected character.", ErrorCode.UNEXPECTED_CHARACTER);
         }
         break;
     }
@@ -136,11 +185,11 @@ class Scanner {
    */
   string() {
     while (this.peek() !== '"' && !this.isAtEnd()) {
-      if (this.peek() === '\n') this.line++;
       this.advance();
+      if (this.previous() === '\n') this.newline();
     }
     if (this.isAtEnd()) {
-      this.errorReporter(this.line, "Unterminated string.");
+      this.error("Unterminated string.", ErrorCode.UNTERMINATED_STRING);
       return;
     }
     // Consume the closing ".
@@ -159,15 +208,14 @@ class Scanner {
       if (this.peek() === '*' && this.peekNext() === '/') {
         this.advance(); // consume '*'
         this.advance(); // consume '/'
+        this.addComment();
         return;
       }
-      if (this.peek() === '\n') {
-        this.line++;
-      }
       this.advance();
+      if (this.previous() === '\n') this.newline();
     }
     // If we get here, the file ended before the comment was closed.
-    this.errorReporter(this.line, "Unterminated block comment.");
+    this.error("Unterminated block comment.", ErrorCode.UNTERMINATED_COMMENT);
   }
   
   /**
@@ -230,6 +278,40 @@ class Scanner {
     return this.source[this.current + 1];
   }
   
+  /**
+   * Returns the most recently consumed character.
+   * @returns {string} The previous character.
+   * @private
+   */
+  previous() {
+    return this.source[this.current - 1];
+  }
+
+  /**
+   * Records that a newline was just consumed, so columns restart from 1.
+   * @private
+   */
+  newline() {
+    this.line++;
+    this.lineStart = this.current;
+  }
+
+  /**
+   * Reports a lexical error covering the lexeme scanned so far.
+   * @param {string} message The error message.
+   * @param {string} code The diagnostic code from ErrorCode.
+   * @private
+   */
+  error(message, code) {
+    const span = new Span(
+      this.start, this.current,
+      this.startLine, this.startColumn,
+      this.line, this.current - this.lineStart + 1,
+      this.fileName
+    );
+    this.errorReporter(span, message, code);
+  }
+
   /**
    * Checks if a character is a digit '0' through '9'.
    * @param {string} char The character to check.
@@ -288,9 +370,33 @@ class Scanner {
    */
   addToken(type, literal = null) {
     const text = this.source.substring(this.start, this.current);
-    const token = new Token(type, text, literal, this.line);
+    const token = new Token(type, text, literal, this.startLine, this.start, this.startColumn, this.fileName);
+    this.attachTrivia(token);
     this.tokens.push(token);
   }
+
+  /**
+   * Keeps the comment just scanned, if comments are being kept.
+   * @private
+   */
+  addComment() {
+    if (!this.keepComments) return;
+    const text = this.source.substring(this.start, this.current);
+    this.trivia.push(new Token(COMMENT, text, null, this.startLine, this.start, this.startColumn, this.fileName));
+  }
+
+  /**
+   * Hands the comments scanned since the last token to the token being added.
+   * @param {Token} token
+   * @private
+   */
+  attachTrivia(token) {
+    if (!this.keepComments) return;
+    token.trivia = this.trivia;
+    this.trivia = [];
+  }
 }
 
+Scanner.keywords = keywords;
+
 module.exports = Scanner;
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * A region of the source code, used to point errors and tools at the exact
+ * characters a token or syntax tree node came from.
+ */
+class Span {
+  /**
+   * @param {number} start The offset of the first character in the source string.
+   * @param {number} end The offset just past the last character.
+   * @param {number} line The 1-based line the span starts on.
+   * @param {number} column The 1-based column the span starts at.
+   * @param {number} endLine The 1-based line the span ends on.
+   * @param {number} endColumn The 1-based column just past the last character.
+   * @param {string | null} [file=null] The name of the file the span points into.
+   */
+  constructor(start, end, line, column, endLine, endColumn, file = null) {
+    this.start = start;
+    this.end = end;
+    this.line = line;
+    this.column = column;
+    this.endLine = endLine;
+    this.endColumn = endColumn;
+    this.file = file;
+  }
+
+  /**
+   * The number of characters covered by the span.
+   * @returns {number}
+   */
+  get length() {
+    return this.end - this.start;
+  }
+
+  /**
+   * Creates the span covered by a single token.
+   * @param {Token} token
+   * @returns {Span}
+   */
+  static fromToken(token) {
+    const lastNewline = token.lexeme.lastIndexOf('\n');
+    if (lastNewline === -1) {
+      return new Span(
+        token.start, token.start + token.length,
+        token.line, token.column,
+        token.line, token.column + token.length,
+        token.file
+      );
+    }
+
+    // Multi-line strings and comments end on a later line.
+    const newlines = token.lexeme.split('\n').length - 1;
+    return new Span(
+      token.start, token.start + token.length,
+      token.line, token.column,
+      token.line + newlines, token.length - lastNewline,
+      token.file
+    );
+  }
+
+  /**
+   * Creates the span running from the start of `first` to the end of `last`.
+   * @param {Token | Span} first
+   * @param {Token | Span} last
+   * @returns {Span}
+   */
+  static between(first, last) {
+    const from = first instanceof Span ? first : Span.fromToken(first);
+    const to = last instanceof Span ? last : Span.fromToken(last);
+    return new Span(from.start, to.end, from.line, from.column, to.endLine, to.endColumn, from.file);
+  }
+
+  toString() {
+    return `${this.line}:${this.column}`;
+  }
+}
+
+module.exports = Span;
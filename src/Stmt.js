@@ -3,6 +3,14 @@
  * We don't instantiate this directly, but instead extend it.
  */
 class Stmt {
+  constructor() {
+    /**
+     * The region of source code this statement was parsed from, filled in by the Parser.
+     * @type {Span | null}
+     */
+    this.span = null;
+  }
+
   /**
    * The base 'accept' method for the Visitor pattern.
    * @param {Visitor} _visitor
@@ -20,8 +28,15 @@ class Visitor {
   visitIfStmt(_stmt) { throw new Error("Method not implemented."); }
   visitWhileStmt(_stmt) { throw new Error("Method not implemented."); }
   visitBreakStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitContinueStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitForStmt(_stmt) { throw new Error("Method not implemented."); }
   visitFunctionStmt(_stmt) { throw new Error("Method not implemented."); }
   visitReturnStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitClassStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitImportStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitExportStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitTryStmt(_stmt) { throw new Error("Method not implemented."); }
+  visitThrowStmt(_stmt) { throw new Error("Method not implemented."); }
 }
 
 /**
@@ -64,6 +79,27 @@ class Function extends Stmt {
   }
 }
 
+/**
+ * Represents a class declaration statement.
+ */
+class Class extends Stmt {
+  /**
+   * @param {Token} name The class's name.
+   * @param {Expr.Variable | null} superclass The expression naming the superclass, if any.
+   * @param {Function[]} methods The method declarations in the class body.
+   */
+  constructor(name, superclass, methods) {
+    super();
+    this.name = name;
+    this.superclass = superclass;
+    this.methods = methods;
+  }
+
+  accept(visitor) {
+    return visitor.visitClassStmt(this);
+  }
+}
+
 /**
  * Represents a break statement, which is used to exit loops prematurely.
  */
@@ -73,6 +109,15 @@ class Break extends Stmt {
   }
 }
 
+/**
+ * Represents a continue statement, which skips to the next iteration of a loop.
+ */
+class Continue extends Stmt {
+  accept(visitor) {
+    return visitor.visitContinueStmt(this);
+  }
+}
+
 /**
  * Represents a while loop statement.
  */
@@ -92,6 +137,31 @@ class While extends Stmt {
   }
 }
 
+/**
+ * Represents a for loop statement. It is kept as its own node, instead of being
+ * desugared into a while loop, so that 'continue' still runs the increment.
+ * Ex: for (var i = 0; i < 10; i = i + 1) print i;
+ */
+class For extends Stmt {
+  /**
+   * @param {Stmt | null} initializer The declaration or expression run once before the loop.
+   * @param {Expr | null} condition The condition to check on each iteration. Null loops forever.
+   * @param {Expr | null} increment The expression evaluated after each iteration.
+   * @param {Stmt} body The statement to execute in the loop.
+   */
+  constructor(initializer, condition, increment, body) {
+    super();
+    this.initializer = initializer;
+    this.condition = condition;
+    this.increment = increment;
+    this.body = body;
+  }
+
+  accept(visitor) {
+    return visitor.visitForStmt(this);
+  }
+}
+
 /**
  * Represents an if(-else) statement.
  */
@@ -187,6 +257,95 @@ class Var extends Stmt {
   }
 }
 
+/**
+ * Represents an import statement, which runs another file as a module.
+ * Ex: import "util.oxe" as util;
+ */
+class Import extends Stmt {
+  /**
+   * @param {Token} keyword The 'import' token itself.
+   * @param {Token} path The STRING token holding the module's path.
+   * @param {Token | null} alias The name the module is bound to, or null to
+   *   bring every exported name into scope directly.
+   */
+  constructor(keyword, path, alias) {
+    super();
+    this.keyword = keyword;
+    this.path = path;
+    this.alias = alias;
+  }
+
+  accept(visitor) {
+    return visitor.visitImportStmt(this);
+  }
+}
+
+/**
+ * Represents a declaration that is visible to the files importing its module.
+ * Ex: export fun square(x) { return x * x; }
+ */
+class Export extends Stmt {
+  /**
+   * @param {Token} keyword The 'export' token itself.
+   * @param {Stmt.Var | Stmt.Function | Stmt.Class} declaration The exported declaration.
+   */
+  constructor(keyword, declaration) {
+    super();
+    this.keyword = keyword;
+    this.declaration = declaration;
+  }
+
+  accept(visitor) {
+    return visitor.visitExportStmt(this);
+  }
+}
+
+/**
+ * Represents a try statement. At least one of the catch and finally clauses is present.
+ * Ex: try { risky(); } catch (e) { print e.message; } finally { cleanUp(); }
+ */
+class Try extends Stmt {
+  /**
+   * @param {Token} keyword The 'try' token itself.
+   * @param {Stmt[]} body The statements that may throw.
+   * @param {Token | null} catchName The variable the caught value is bound to.
+   * @param {Stmt[] | null} catchBody The statements run when the body throws.
+   * @param {Stmt[] | null} finallyBody The statements run however the body ends.
+   */
+  constructor(keyword, body, catchName, catchBody, finallyBody) {
+    super();
+    this.keyword = keyword;
+    this.body = body;
+    this.catchName = catchName;
+    this.catchBody = catchBody;
+    this.finallyBody = finallyBody;
+  }
+
+  accept(visitor) {
+    return visitor.visitTryStmt(this);
+  }
+}
+
+/**
+ * Represents a throw statement.
+ * Ex: throw "Something went wrong.";
+ */
+class Throw extends Stmt {
+  /**
+   * @param {Token} keyword The 'throw' token itself.
+   * @param {Expr} value The expression whose value is thrown.
+   */
+  constructor(keyword, value) {
+    super();
+    this.keyword = keyword;
+    this.value = value;
+  }
+
+  accept(visitor) {
+    return visitor.visitThrowStmt(this);
+  }
+}
+
 Stmt.Visitor = Visitor;
 Stmt.Block = Block;
 Stmt.Expression = Expression;
@@ -195,7 +354,14 @@ Stmt.Var = Var;
 Stmt.If = If;
 Stmt.While = While;
 Stmt.Break = Break;
+Stmt.Continue = Continue;
+Stmt.For = For;
 Stmt.Function = Function;
 Stmt.Return = Return;
+Stmt.Class = Class;
+Stmt.Import = Import;
+Stmt.Export = Export;
+Stmt.Try = Try;
+Stmt.Throw = Throw;
 
-module.exports = Stmt;
\ No newline at end of file
+module.exports = Stmt;
@@ -0,0 +1,21 @@
+const RuntimeError = require('./RuntimeError');
+const ErrorCode = require('./ErrorCode');
+
+/**
+ * The error raised by a 'throw' statement. It carries the thrown value so a
+ * 'catch' clause can hand it back to the script unchanged, and it is reported
+ * like any other runtime error when nothing catches it.
+ */
+class Thrown extends RuntimeError {
+  /**
+   * @param {Token} keyword The 'throw' token, to report the error at.
+   * @param {any} value The thrown value.
+   * @param {string} description The value as text, for the error message.
+   */
+  constructor(keyword, value, description) {
+    super(keyword, `Uncaught exception: ${description}`, ErrorCode.UNCAUGHT_EXCEPTION);
+    this.value = value;
+  }
+}
+
+module.exports = Thrown;
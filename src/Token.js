@@ -4,12 +4,25 @@ class Token {
    * @param {string} lexeme The sequence of characters from the source.
    * @param {any} literal The actual value of a literal (e.g., a number or string).
    * @param {number} line The line number where the lexeme appeared.
+   * @param {number} [start=0] The offset of the lexeme's first character in the source.
+   * @param {number} [column=1] The 1-based column where the lexeme starts.
+   * @param {string | null} [file=null] The name of the file the lexeme was scanned from.
    */
-  constructor(type, lexeme, literal, line) {
+  constructor(type, lexeme, literal, line, start = 0, column = 1, file = null) {
     this.type = type;
     this.lexeme = lexeme;
     this.literal = literal;
     this.line = line;
+    this.start = start;
+    this.column = column;
+    this.length = lexeme.length;
+    this.file = file;
+    /**
+     * The comments between the previous token and this one, as COMMENT tokens.
+     * Only filled in when the Scanner keeps comments.
+     * @type {Token[] | null}
+     */
+    this.trivia = null;
   }
 
   /**
@@ -21,4 +34,4 @@ class Token {
   }
 }
 
-module.exports = Token;
\ No newline at end of file
+module.exports = Token;
@@ -7,6 +7,8 @@ const TokenType = Object.freeze({
   RIGHT_PAREN: 'RIGHT_PAREN',     // ')'
   LEFT_BRACE:  'LEFT_BRACE',      // '{'
   RIGHT_BRACE: 'RIGHT_BRACE',     // '}'
+  LEFT_BRACKET:  'LEFT_BRACKET',  // '['
+  RIGHT_BRACKET: 'RIGHT_BRACKET', // ']'
   COMMA:       'COMMA',           // ','
   DOT:         'DOT',             // '.'
   MINUS:       'MINUS',           // '-'
@@ -14,6 +16,7 @@ const TokenType = Object.freeze({
   SEMICOLON:   'SEMICOLON',       // ';'
   SLASH:       'SLASH',           // '/'
   STAR:        'STAR',            // '*'
+  PERCENT:     'PERCENT',         // '%'
   QUESTION:   'QUESTION',         // '?'
   COLON:       'COLON',           // ':'
 
@@ -26,6 +29,8 @@ const TokenType = Object.freeze({
   GREATER_EQUAL: 'GREATER_EQUAL', // '>='
   LESS:          'LESS',          // '<'
   LESS_EQUAL:    'LESS_EQUAL',    // '<='
+  ARROW:         'ARROW',         // '=>'
+  TILDE_SLASH:   'TILDE_SLASH',   // '~/'
 
   // Literals.
   IDENTIFIER: 'IDENTIFIER',
@@ -50,6 +55,16 @@ const TokenType = Object.freeze({
   VAR:    'VAR',
   WHILE:  'WHILE',
   BREAK:  'BREAK',
+  CONTINUE: 'CONTINUE',
+  IMPORT: 'IMPORT',
+  EXPORT: 'EXPORT',
+  TRY: 'TRY',
+  CATCH: 'CATCH',
+  FINALLY: 'FINALLY',
+  THROW: 'THROW',
+
+  // Trivia, only produced when the Scanner keeps comments.
+  COMMENT: 'COMMENT',
 
   EOF: 'EOF'
 });
@@ -0,0 +1,57 @@
+const Engine = require('./Engine');
+const Scanner = require('./Scanner');
+const Parser = require('./Parser');
+const Resolver = require('./Resolver');
+const AstPrinter = require('./AstPrinter');
+const AstSerializer = require('./AstSerializer');
+const Formatter = require('./Formatter');
+const Linter = require('./Linter');
+const Interpreter = require('./Interpreter');
+const Compiler = require('./vm/Compiler');
+const VM = require('./vm/VM');
+const RuntimeError = require('./RuntimeError');
+const BudgetError = require('./BudgetError');
+const NativeFunction = require('./NativeFunction');
+const Diagnostic = require('./Diagnostic');
+const DiagnosticRenderer = require('./DiagnosticRenderer');
+const ErrorCode = require('./ErrorCode');
+const Connection = require('./lsp/Connection');
+const LanguageServer = require('./lsp/LanguageServer');
+
+/**
+ * Creates an isolated Oxente engine.
+ * @param {object} [options] See the Engine constructor.
+ * @returns {Engine}
+ *
+ * @example
+ * const { createOxente } = require('jsoxente');
+ * const oxente = createOxente({ globals: { greet: (name) => `Oi, ${name}!` } });
+ * const result = oxente.run('print greet("Ana");');
+ * result.output; // "Oi, Ana!\n"
+ */
+function createOxente(options = {}) {
+  return new Engine(options);
+}
+
+module.exports = {
+  createOxente,
+  Engine,
+  Scanner,
+  Parser,
+  Resolver,
+  AstPrinter,
+  AstSerializer,
+  Formatter,
+  Linter,
+  Interpreter,
+  Compiler,
+  VM,
+  RuntimeError,
+  BudgetError,
+  NativeFunction,
+  Diagnostic,
+  DiagnosticRenderer,
+  ErrorCode,
+  Connection,
+  LanguageServer
+};
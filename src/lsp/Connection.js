@@ -0,0 +1,157 @@
+const ResponseError = require('./ResponseError');
+
+const { codes } = ResponseError;
+
+/**
+ * A JSON-RPC connection over a pair of streams, framed the way the Language
+ * Server Protocol frames messages: each one is preceded by a header with its
+ * length in bytes.
+ *
+ *   Content-Length: 52\r\n
+ *   \r\n
+ *   {"jsonrpc":"2.0","id":1,"method":"shutdown"}
+ *
+ * Requests are answered with whatever their handler returns, or with the
+ * ResponseError it throws. Notifications have no answer.
+ */
+class Connection {
+  /**
+   * @param {NodeJS.ReadableStream} input Where messages are read from, e.g. standard input.
+   * @param {{ write: function(string): void }} output Where messages are written to.
+   */
+  constructor(input, output) {
+    this.input = input;
+    this.output = output;
+    this.buffer = Buffer.alloc(0);
+    /**
+     * @type {function(string, any): any}
+     */
+    this.requestHandler = () => {
+      throw new ResponseError(codes.METHOD_NOT_FOUND, "Unhandled method.");
+    };
+    /**
+     * @type {function(string, any): void}
+     */
+    this.notificationHandler = () => {};
+  }
+
+  /**
+   * Sets the function that answers requests. It receives the method and the params.
+   * @param {function(string, any): any} handler
+   */
+  onRequest(handler) {
+    this.requestHandler = handler;
+  }
+
+  /**
+   * Sets the function that receives notifications. It receives the method and the params.
+   * @param {function(string, any): void} handler
+   */
+  onNotification(handler) {
+    this.notificationHandler = handler;
+  }
+
+  /**
+   * Starts reading messages from the input.
+   */
+  listen() {
+    this.input.on('data', (chunk) => this.receive(chunk));
+  }
+
+  /**
+   * Sends a notification.
+   * @param {string} method
+   * @param {any} params
+   */
+  notify(method, params) {
+    this.send({ jsonrpc: "2.0", method, params });
+  }
+
+  /**
+   * Takes in bytes read from the input and handles every complete message in them.
+   * @param {Buffer} chunk
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (true) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      if (match === null) {
+        // Without a length there is no way to find the next message; skip the header.
+        this.buffer = this.buffer.subarray(headerEnd + 4);
+        continue;
+      }
+
+      const start = headerEnd + 4;
+      const end = start + Number(match[1]);
+      if (this.buffer.length < end) return;
+
+      const body = this.buffer.subarray(start, end).toString('utf8');
+      this.buffer = this.buffer.subarray(end);
+      this.handle(body);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} body A message's JSON.
+   */
+  handle(body) {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      this.sendError(null, new ResponseError(codes.PARSE_ERROR, "Invalid JSON."));
+      return;
+    }
+
+    if (typeof message !== 'object' || message === null) {
+      this.sendError(null, new ResponseError(codes.INVALID_REQUEST, "Invalid message."));
+      return;
+    }
+    // Responses have no method. The server sends no requests, so there are none to wait for.
+    if (typeof message.method !== 'string') return;
+
+    if (!("id" in message)) {
+      try {
+        this.notificationHandler(message.method, message.params);
+      } catch (error) {
+        this.notify("window/logMessage", { type: 1, message: `${message.method}: ${error.message}` });
+      }
+      return;
+    }
+
+    try {
+      const result = this.requestHandler(message.method, message.params);
+      this.send({ jsonrpc: "2.0", id: message.id, result: result === undefined ? null : result });
+    } catch (error) {
+      this.sendError(message.id, error instanceof ResponseError
+        ? error
+        : new ResponseError(codes.INTERNAL_ERROR, error.message));
+    }
+  }
+
+  /**
+   * @private
+   * @param {number | string | null} id
+   * @param {ResponseError} error
+   */
+  sendError(id, error) {
+    this.send({ jsonrpc: "2.0", id, error: { code: error.code, message: error.message } });
+  }
+
+  /**
+   * @private
+   * @param {object} message
+   */
+  send(message) {
+    const body = JSON.stringify(message);
+    this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  }
+}
+
+module.exports = Connection;
@@ -0,0 +1,405 @@
+const url = require('url');
+
+const Engine = require('../Engine');
+const Scanner = require('../Scanner');
+const SymbolIndex = require('./SymbolIndex');
+const ResponseError = require('./ResponseError');
+
+/**
+ * The numbers the protocol uses for kinds of symbols and completion items.
+ */
+const SymbolKind = Object.freeze({ CLASS: 5, METHOD: 6, FUNCTION: 12, VARIABLE: 13 });
+const CompletionItemKind = Object.freeze({ METHOD: 2, FUNCTION: 3, VARIABLE: 6, CLASS: 7, KEYWORD: 14 });
+
+/**
+ * The protocol's number for each Diagnostic severity.
+ */
+const DiagnosticSeverity = Object.freeze({ error: 1, warning: 2 });
+
+/**
+ * How the contents of documents are synced: the client sends the full text on every change.
+ */
+const FULL_SYNC = 1;
+
+/**
+ * @typedef {object} Document
+ * @property {string} uri
+ * @property {string} text
+ * @property {number[]} lineStarts The offset where each line begins.
+ * @property {SymbolIndex} index
+ */
+
+/**
+ * A Language Server Protocol server for Oxente. Every time a document is
+ * opened or changed it is scanned, parsed and resolved, the diagnostics are
+ * published, and its symbols are indexed to answer requests for definitions,
+ * references, hovers, document symbols and completions.
+ *
+ * @example
+ * const connection = new Connection(process.stdin, process.stdout);
+ * new LanguageServer(connection, { onExit: (code) => process.exit(code) });
+ * connection.listen();
+ */
+class LanguageServer {
+  /**
+   * @param {Connection} connection The connection to the editor.
+   * @param {object} [options]
+   * @param {function(number): void} [options.onExit] Called with the exit code when the
+   *   client asks the server to exit: 0 if it was shut down first, 1 otherwise.
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.onExit = options.onExit ?? (() => {});
+    /**
+     * The open documents, by URI.
+     * @type {Map<string, Document>}
+     */
+    this.documents = new Map();
+    this.initialized = false;
+    this.shutDown = false;
+    /**
+     * The names every script can use without declaring them.
+     * @type {Map<string, any>}
+     */
+    this.builtins = new Engine().interpreter.builtins;
+
+    connection.onRequest((method, params) => this.handleRequest(method, params));
+    connection.onNotification((method, params) => this.handleNotification(method, params));
+  }
+
+  /**
+   * Answers a request from the client.
+   * @param {string} method
+   * @param {any} params
+   * @returns {any} The result.
+   * @throws {ResponseError}
+   */
+  handleRequest(method, params) {
+    if (method === "initialize") {
+      this.initialized = true;
+      return this.initialize();
+    }
+    if (!this.initialized) {
+      throw new ResponseError(ResponseError.codes.SERVER_NOT_INITIALIZED, "The server is not initialized.");
+    }
+    if (this.shutDown) {
+      throw new ResponseError(ResponseError.codes.INVALID_REQUEST, "The server is shutting down.");
+    }
+
+    switch (method) {
+      case "shutdown":
+        this.shutDown = true;
+        return null;
+      case "textDocument/definition": return this.definition(params);
+      case "textDocument/references": return this.references(params);
+      case "textDocument/hover": return this.hover(params);
+      case "textDocument/documentSymbol": return this.documentSymbols(params);
+      case "textDocument/completion": return this.completion(params);
+    }
+    throw new ResponseError(ResponseError.codes.METHOD_NOT_FOUND, `Unhandled method '${method}'.`);
+  }
+
+  /**
+   * Handles a notification from the client.
+   * @param {string} method
+   * @param {any} params
+   */
+  handleNotification(method, params) {
+    switch (method) {
+      case "exit":
+        this.onExit(this.shutDown ? 0 : 1);
+        break;
+      case "textDocument/didOpen":
+        this.update(params.textDocument.uri, params.textDocument.text);
+        break;
+      case "textDocument/didChange": {
+        const changes = params.contentChanges;
+        this.update(params.textDocument.uri, changes[changes.length - 1].text);
+        break;
+      }
+      case "textDocument/didClose":
+        this.documents.delete(params.textDocument.uri);
+        this.connection.notify("textDocument/publishDiagnostics", { uri: params.textDocument.uri, diagnostics: [] });
+        break;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {object} The server's capabilities.
+   */
+  initialize() {
+    return {
+      capabilities: {
+        textDocumentSync: FULL_SYNC,
+        definitionProvider: true,
+        referencesProvider: true,
+        hoverProvider: true,
+        documentSymbolProvider: true,
+        completionProvider: { triggerCharacters: ["."] }
+      },
+      serverInfo: { name: "oxente" }
+    };
+  }
+
+  /**
+   * Analyzes a document's new text and publishes its diagnostics.
+   * @private
+   * @param {string} uri
+   * @param {string} text
+   */
+  update(uri, text) {
+    // A new engine each time, so nothing is kept from older versions of the text.
+    const result = new Engine().inspect(text, this.fileName(uri));
+
+    // Diagnostics go out first, so the editor shows them even if indexing fails.
+    this.connection.notify("textDocument/publishDiagnostics", {
+      uri,
+      diagnostics: result.diagnostics.map((diagnostic) => ({
+        range: this.spanRange(diagnostic.span),
+        severity: DiagnosticSeverity[diagnostic.severity],
+        code: diagnostic.code,
+        source: "oxente",
+        message: [diagnostic.message, ...diagnostic.help.map((help) => `help: ${help}`)].join("\n")
+      }))
+    });
+
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === "\n") lineStarts.push(i + 1);
+    }
+    this.documents.set(uri, { uri, text, lineStarts, index: new SymbolIndex(result.statements) });
+  }
+
+
+  /**
+   * @private
+   * @param {{ textDocument: { uri: string }, position: { line: number, character: number } }} params
+   * @returns {{ uri: string, range: object }[] | null}
+   */
+  definition(params) {
+    const found = this.occurrence(params);
+    if (found === null) return null;
+    const { document, occurrence } = found;
+
+    const symbols = occurrence.symbol === null
+      ? this.methodsNamed(document, occurrence.token.lexeme)
+      : [occurrence.symbol];
+    if (symbols.length === 0) return null;
+    return symbols.map((symbol) => this.location(document, symbol.token));
+  }
+
+  /**
+   * @private
+   * @param {{ textDocument: { uri: string }, position: object, context?: { includeDeclaration: boolean } }} params
+   * @returns {{ uri: string, range: object }[] | null}
+   */
+  references(params) {
+    const found = this.occurrence(params);
+    if (found === null || found.occurrence.symbol === null) return null;
+    const { document, occurrence: { symbol } } = found;
+
+    const tokens = params.context?.includeDeclaration ? [symbol.token, ...symbol.references] : symbol.references;
+    return tokens.map((token) => this.location(document, token));
+  }
+
+  /**
+   * Shows how the name under the cursor is declared, with a function's parameters.
+   * @private
+   * @param {{ textDocument: { uri: string }, position: object }} params
+   * @returns {{ contents: { kind: string, value: string }, range: object } | null}
+   */
+  hover(params) {
+    const found = this.occurrence(params);
+    if (found === null) return null;
+    const { occurrence } = found;
+
+    const symbols = occurrence.symbol === null
+      ? this.methodsNamed(found.document, occurrence.token.lexeme)
+      : [occurrence.symbol];
+    if (symbols.length === 0) return null;
+
+    const signatures = symbols.map((symbol) => this.signature(symbol)).join("\n");
+    return {
+      contents: { kind: "markdown", value: `\`\`\`oxente\n${signatures}\n\`\`\`` },
+      range: this.tokenRange(occurrence.token)
+    };
+  }
+
+  /**
+   * @private
+   * @param {{ textDocument: { uri: string } }} params
+   * @returns {object[] | null}
+   */
+  documentSymbols(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (document === undefined) return null;
+
+    const convert = (symbol) => ({
+      name: symbol.name,
+      detail: symbol.params === null ? undefined : `(${this.parameters(symbol)})`,
+      kind: {
+        class: SymbolKind.CLASS,
+        method: SymbolKind.METHOD,
+        function: SymbolKind.FUNCTION
+      }[symbol.kind] ?? SymbolKind.VARIABLE,
+      range: this.spanRange(symbol.span),
+      selectionRange: this.tokenRange(symbol.token),
+      children: symbol.children.map(convert)
+    });
+    return document.index.roots.map(convert);
+  }
+
+  /**
+   * Offers the keywords, the names in scope and the builtins, or the methods
+   * of the document's classes after a '.'.
+   * @private
+   * @param {{ textDocument: { uri: string }, position: object }} params
+   * @returns {{ label: string, kind: number, detail?: string }[]}
+   */
+  completion(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (document === undefined) return [];
+
+    const offset = this.offset(document, params.position);
+    let wordStart = offset;
+    while (wordStart > 0 && /\w/.test(document.text[wordStart - 1])) wordStart--;
+
+    if (document.text[wordStart - 1] === ".") {
+      const methods = new Map(document.index.methods.map((method) => [method.name, method]));
+      return [...methods.values()].map((method) => ({
+        label: method.name, kind: CompletionItemKind.METHOD, detail: this.signature(method)
+      }));
+    }
+
+    const items = document.index.visibleAt(wordStart).map((symbol) => ({
+      label: symbol.name,
+      kind: {
+        class: CompletionItemKind.CLASS,
+        function: CompletionItemKind.FUNCTION
+      }[symbol.kind] ?? CompletionItemKind.VARIABLE,
+      detail: this.signature(symbol)
+    }));
+    const declared = new Set(items.map((item) => item.label));
+
+    for (const name of this.builtins.keys()) {
+      if (!declared.has(name)) items.push({ label: name, kind: CompletionItemKind.FUNCTION, detail: "builtin" });
+    }
+    for (const keyword of Object.keys(Scanner.keywords)) {
+      items.push({ label: keyword, kind: CompletionItemKind.KEYWORD });
+    }
+    return items;
+  }
+
+  // Helpers:
+  /**
+   * Finds the name at a position in a document.
+   * @private
+   * @param {{ textDocument: { uri: string }, position: { line: number, character: number } }} params
+   * @returns {{ document: Document, occurrence: { token: Token, symbol: SymbolInfo | null } } | null}
+   */
+  occurrence(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (document === undefined) return null;
+    const occurrence = document.index.occurrenceAt(this.offset(document, params.position));
+    return occurrence === null ? null : { document, occurrence };
+  }
+
+  /**
+   * @private
+   * @param {Document} document
+   * @param {string} name
+   * @returns {SymbolInfo[]} The methods with that name in any of the document's classes.
+   */
+  methodsNamed(document, name) {
+    return document.index.methods.filter((method) => method.name === name);
+  }
+
+  /**
+   * Describes a declaration the way it is written.
+   * @private
+   * @param {SymbolInfo} symbol
+   * @returns {string}
+   */
+  signature(symbol) {
+    switch (symbol.kind) {
+      case "function": return `fun ${symbol.name}(${this.parameters(symbol)})`;
+      case "method": return `${symbol.owner.name}.${symbol.name}(${this.parameters(symbol)})`;
+      case "class": {
+        let text = `class ${symbol.name}`;
+        if (symbol.superclass !== null) text += ` < ${symbol.superclass.lexeme}`;
+        const init = symbol.children.find((method) => method.name === "init");
+        return init === undefined ? text : `${text}\ninit(${this.parameters(init)})`;
+      }
+      case "parameter": return `(parameter) ${symbol.name}`;
+      case "catch": return `(caught error) ${symbol.name}`;
+    }
+    if (symbol.params !== null) return `var ${symbol.name} = fun (${this.parameters(symbol)})`;
+    return `var ${symbol.name}`;
+  }
+
+  /**
+   * @private
+   * @param {SymbolInfo} symbol
+   * @returns {string}
+   */
+  parameters(symbol) {
+    return symbol.params.map((param) => param.lexeme).join(", ");
+  }
+
+  /**
+   * @private
+   * @param {Document} document
+   * @param {{ line: number, character: number }} position
+   * @returns {number} The offset of a position in the document's text.
+   */
+  offset(document, position) {
+    const lineStart = document.lineStarts[position.line] ?? document.text.length;
+    return Math.min(lineStart + position.character, document.text.length);
+  }
+
+  /**
+   * @private
+   * @param {Document} document
+   * @param {Token} token
+   * @returns {{ uri: string, range: object }}
+   */
+  location(document, token) {
+    return { uri: document.uri, range: this.tokenRange(token) };
+  }
+
+  /**
+   * @private
+   * @param {Token} token A token on a single line, like a name.
+   * @returns {object} The token's range, with the protocol's 0-based lines and characters.
+   */
+  tokenRange(token) {
+    return {
+      start: { line: token.line - 1, character: token.column - 1 },
+      end: { line: token.line - 1, character: token.column - 1 + token.length }
+    };
+  }
+
+  /**
+   * @private
+   * @param {Span} span
+   * @returns {object} The span's range, with the protocol's 0-based lines and characters.
+   */
+  spanRange(span) {
+    return {
+      start: { line: span.line - 1, character: span.column - 1 },
+      end: { line: span.endLine - 1, character: span.endColumn - 1 }
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} uri
+   * @returns {string} The name diagnostics use for the document.
+   */
+  fileName(uri) {
+    return uri.startsWith("file:") ? url.fileURLToPath(uri) : uri;
+  }
+}
+
+module.exports = LanguageServer;
@@ -0,0 +1,28 @@
+/**
+ * An object that acts as an enum for the JSON-RPC error codes the server uses.
+ */
+const ErrorCodes = Object.freeze({
+  PARSE_ERROR:            -32700,
+  INVALID_REQUEST:        -32600,
+  METHOD_NOT_FOUND:       -32601,
+  INTERNAL_ERROR:         -32603,
+  SERVER_NOT_INITIALIZED: -32002
+});
+
+/**
+ * An error sent back as the response to a JSON-RPC request.
+ */
+class ResponseError extends Error {
+  /**
+   * @param {number} code One of the values in ResponseError.codes.
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+ResponseError.codes = ErrorCodes;
+
+module.exports = ResponseError;
@@ -0,0 +1,415 @@
+const Expr = require('../Expr');
+
+/**
+ * @typedef {object} SymbolInfo
+ * @property {string} name
+ * @property {"variable" | "parameter" | "function" | "class" | "method" | "catch"} kind
+ * @property {Token} token The name in the declaration.
+ * @property {Span} span The whole declaration.
+ * @property {Token[] | null} params The parameters of functions, methods and
+ *   variables initialized with a function.
+ * @property {SymbolInfo | null} owner The class a method belongs to.
+ * @property {Token | null} superclass The superclass of a class.
+ * @property {Token[]} references Every use of the name, not counting the declaration.
+ * @property {SymbolInfo[]} children The methods of a class, and the functions and
+ *   classes declared inside a function.
+ */
+
+/**
+ * @typedef {object} Scope
+ * @property {number} start The offset where the scope begins.
+ * @property {number} end The offset where the scope ends.
+ * @property {Map<string, SymbolInfo>} symbols The names declared in the scope.
+ */
+
+/**
+ * The SymbolIndex walks a syntax tree once and records every declaration and
+ * every use of a name, linking each use to the declaration it refers to the
+ * way the Resolver would. The language server answers questions about a
+ * document from it, e.g. where the name under the cursor is declared.
+ *
+ * Names used where no scope declares them yet are linked to the top-level
+ * declaration with that name, if there is one, since functions can use
+ * globals declared after them.
+ */
+class SymbolIndex {
+  /**
+   * Indexes a program.
+   * @param {Stmt[]} statements The program's statements. They can be incomplete.
+   */
+  constructor(statements) {
+    /**
+     * The top-level declarations, with the ones nested in them as children.
+     * @type {SymbolInfo[]}
+     */
+    this.roots = [];
+    /**
+     * Every method of every class.
+     * @type {SymbolInfo[]}
+     */
+    this.methods = [];
+    /**
+     * Every scope in the program, the top level first.
+     * @type {Scope[]}
+     */
+    this.allScopes = [];
+    /**
+     * Every name token in the program, with the declaration it belongs to.
+     * Property names link to no declaration.
+     * @type {{ token: Token, symbol: SymbolInfo | null }[]}
+     */
+    this.occurrences = [];
+
+    this.scopes = [];
+    this.container = null;
+    this.pending = [];
+
+    this.beginScope(0, Infinity);
+    this.statements(statements);
+    for (const token of this.pending) {
+      const symbol = this.allScopes[0].symbols.get(token.lexeme);
+      if (symbol !== undefined) this.reference(symbol, token);
+    }
+  }
+
+  /**
+   * Finds the name at an offset.
+   * @param {number} offset An offset in the source, which may be just past the name.
+   * @returns {{ token: Token, symbol: SymbolInfo | null } | null}
+   */
+  occurrenceAt(offset) {
+    return this.occurrences.find(({ token }) => token.start <= offset && offset <= token.start + token.length) ?? null;
+  }
+
+  /**
+   * Lists the declarations visible at an offset, innermost first. Local names
+   * are visible after their declaration; top-level names are visible everywhere.
+   * @param {number} offset
+   * @returns {SymbolInfo[]}
+   */
+  visibleAt(offset) {
+    const visible = new Map();
+    for (let i = this.allScopes.length - 1; i >= 0; i--) {
+      const scope = this.allScopes[i];
+      if (offset < scope.start || offset > scope.end) continue;
+      for (const symbol of scope.symbols.values()) {
+        if (visible.has(symbol.name)) continue;
+        if (i > 0 && symbol.token.start >= offset) continue;
+        visible.set(symbol.name, symbol);
+      }
+    }
+    return [...visible.values()];
+  }
+
+  // Statements:
+  visitBlockStmt(stmt) {
+    this.beginScope(stmt.span.start, stmt.span.end);
+    this.statements(stmt.statements);
+    this.endScope();
+  }
+
+  visitClassStmt(stmt) {
+    const symbol = this.declare(stmt.name, "class", stmt.span);
+    if (stmt.superclass !== null) {
+      symbol.superclass = stmt.superclass.name;
+      this.visit(stmt.superclass);
+    }
+
+    const enclosing = this.container;
+    for (const method of stmt.methods) {
+      const info = this.symbol(method.name, "method", method.span);
+      info.params = method.params;
+      info.owner = symbol;
+      symbol.children.push(info);
+      this.methods.push(info);
+      this.occurrences.push({ token: method.name, symbol: info });
+
+      this.container = info;
+      this.function(method);
+    }
+    this.container = enclosing;
+  }
+
+  visitExpressionStmt(stmt) {
+    this.visit(stmt.expression);
+  }
+
+  visitFunctionStmt(stmt) {
+    const symbol = this.declare(stmt.name, "function", stmt.span);
+    symbol.params = stmt.params;
+
+    const enclosing = this.container;
+    this.container = symbol;
+    this.function(stmt);
+    this.container = enclosing;
+  }
+
+  visitIfStmt(stmt) {
+    this.visit(stmt.condition);
+    this.visit(stmt.thenBranch);
+    if (stmt.elseBranch !== null) this.visit(stmt.elseBranch);
+  }
+
+  visitPrintStmt(stmt) {
+    this.visit(stmt.expression);
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value !== null) this.visit(stmt.value);
+  }
+
+  visitVariableStmt(stmt) {
+    if (stmt.initializer !== null) this.visit(stmt.initializer);
+    const symbol = this.declare(stmt.name, "variable", stmt.span);
+    if (stmt.initializer instanceof Expr.Lambda) symbol.params = stmt.initializer.params;
+  }
+
+  visitImportStmt() {}
+
+  visitExportStmt(stmt) {
+    this.visit(stmt.declaration);
+  }
+
+  visitTryStmt(stmt) {
+    this.beginScope(stmt.span.start, stmt.span.end);
+    this.statements(stmt.body);
+    this.endScope();
+
+    if (stmt.catchBody !== null) {
+      const end = stmt.finallyBody === null || stmt.finallyBody.length === 0
+        ? stmt.span.end
+        : stmt.finallyBody[0].span.start;
+      this.beginScope(stmt.catchName.start, end);
+      this.declare(stmt.catchName, "catch", stmt.span);
+      this.statements(stmt.catchBody);
+      this.endScope();
+    }
+
+    if (stmt.finallyBody !== null) {
+      this.beginScope(stmt.span.start, stmt.span.end);
+      this.statements(stmt.finallyBody);
+      this.endScope();
+    }
+  }
+
+  visitThrowStmt(stmt) {
+    this.visit(stmt.value);
+  }
+
+  visitWhileStmt(stmt) {
+    this.visit(stmt.condition);
+    this.visit(stmt.body);
+  }
+
+  visitForStmt(stmt) {
+    this.beginScope(stmt.span.start, stmt.span.end);
+    if (stmt.initializer !== null) this.visit(stmt.initializer);
+    if (stmt.condition !== null) this.visit(stmt.condition);
+    if (stmt.increment !== null) this.visit(stmt.increment);
+    this.visit(stmt.body);
+    this.endScope();
+  }
+
+  visitBreakStmt() {}
+
+  visitContinueStmt() {}
+
+  // Expressions:
+  visitAssignExpr(expr) {
+    this.visit(expr.value);
+    this.use(expr.name);
+  }
+
+  visitBinaryExpr(expr) {
+    this.visit(expr.left);
+    this.visit(expr.right);
+  }
+
+  visitCallExpr(expr) {
+    this.visit(expr.callee);
+    for (const argument of expr.arguments) {
+      this.visit(argument);
+    }
+  }
+
+  visitGetExpr(expr) {
+    this.visit(expr.object);
+    this.occurrences.push({ token: expr.name, symbol: null });
+  }
+
+  visitGroupingExpr(expr) {
+    this.visit(expr.expression);
+  }
+
+  visitLambdaExpr(expr) {
+    this.function(expr);
+  }
+
+  visitListExpr(expr) {
+    for (const element of expr.elements) {
+      this.visit(element);
+    }
+  }
+
+  visitMapExpr(expr) {
+    for (let i = 0; i < expr.keys.length; i++) {
+      this.visit(expr.keys[i]);
+      this.visit(expr.values[i]);
+    }
+  }
+
+  visitIndexExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.index);
+  }
+
+  visitIndexSetExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.index);
+    this.visit(expr.value);
+  }
+
+  visitLiteralExpr() {}
+
+  visitSetExpr(expr) {
+    this.visit(expr.object);
+    this.visit(expr.value);
+    this.occurrences.push({ token: expr.name, symbol: null });
+  }
+
+  visitSuperExpr(expr) {
+    this.occurrences.push({ token: expr.method, symbol: null });
+  }
+
+  visitThisExpr() {}
+
+  visitTernaryExpr(expr) {
+    this.visit(expr.condition);
+    this.visit(expr.thenBranch);
+    this.visit(expr.elseBranch);
+  }
+
+  visitUnaryExpr(expr) {
+    this.visit(expr.right);
+  }
+
+  visitVariableExpr(expr) {
+    this.use(expr.name);
+  }
+
+  // Helpers:
+  /**
+   * @private
+   * @param {Stmt | Expr} node
+   */
+  visit(node) {
+    node.accept(this);
+  }
+
+  /**
+   * @private
+   * @param {(Stmt | null)[]} statements Blocks keep a null for each statement
+   *   that failed to parse; those are skipped.
+   */
+  statements(statements) {
+    for (const statement of statements) {
+      if (statement !== null) this.visit(statement);
+    }
+  }
+
+  /**
+   * Indexes a function's parameters and body inside a new scope.
+   * @private
+   * @param {Stmt.Function | Expr.Lambda} func
+   */
+  function(func) {
+    this.beginScope(func.span.start, func.span.end);
+    for (const param of func.params) {
+      this.declare(param, "parameter", func.span);
+    }
+    this.statements(func.body);
+    this.endScope();
+  }
+
+  /**
+   * Adds a declaration to the innermost scope. Functions and classes are also
+   * listed under the function they are nested in, or as roots; so are top-level variables.
+   * @private
+   * @param {Token} name
+   * @param {string} kind See SymbolInfo.
+   * @param {Span} span The whole declaration.
+   * @returns {SymbolInfo}
+   */
+  declare(name, kind, span) {
+    const symbol = this.symbol(name, kind, span);
+    this.scopes[this.scopes.length - 1].symbols.set(name.lexeme, symbol);
+    this.occurrences.push({ token: name, symbol });
+
+    if (kind === "function" || kind === "class") {
+      (this.container === null ? this.roots : this.container.children).push(symbol);
+    } else if (kind === "variable" && this.scopes.length === 1) {
+      this.roots.push(symbol);
+    }
+    return symbol;
+  }
+
+  /**
+   * @private
+   * @param {Token} name
+   * @param {string} kind
+   * @param {Span} span
+   * @returns {SymbolInfo}
+   */
+  symbol(name, kind, span) {
+    return {
+      name: name.lexeme, kind, token: name, span,
+      params: null, owner: null, superclass: null, references: [], children: []
+    };
+  }
+
+  /**
+   * Links a use of a name to its declaration.
+   * @private
+   * @param {Token} name
+   */
+  use(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      const symbol = this.scopes[i].symbols.get(name.lexeme);
+      if (symbol !== undefined) {
+        this.reference(symbol, name);
+        return;
+      }
+    }
+    this.pending.push(name);
+  }
+
+  /**
+   * @private
+   * @param {SymbolInfo} symbol
+   * @param {Token} name
+   */
+  reference(symbol, name) {
+    symbol.references.push(name);
+    this.occurrences.push({ token: name, symbol });
+  }
+
+  /**
+   * @private
+   * @param {number} start
+   * @param {number} end
+   */
+  beginScope(start, end) {
+    const scope = { start, end, symbols: new Map() };
+    this.scopes.push(scope);
+    this.allScopes.push(scope);
+  }
+
+  /**
+   * @private
+   */
+  endScope() {
+    this.scopes.pop();
+  }
+}
+
+module.exports = SymbolIndex;
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Input and file natives. Reading stdin is always allowed, but the file
+ * natives only work inside the root directory granted by the host, so
+ * untrusted scripts can't touch arbitrary paths:
+ *
+ *   new Interpreter(reporter, { fileSystem: { root: "/srv/data", readOnly: true } });
+ *
+ * Without a `fileSystem` configuration every file operation is denied. The
+ * same root limits which modules a script can import.
+ */
+
+/**
+ * Reads one line from the process's standard input, synchronously.
+ * Bytes are read one at a time so nothing past the newline is consumed.
+ * @returns {string | null} The line without its terminator, or null at end of input.
+ */
+function readLineFromStdin() {
+  const bytes = [];
+  const buffer = Buffer.alloc(1);
+  while (true) {
+    let count;
+    try {
+      count = fs.readSync(0, buffer, 0, 1, null);
+    } catch (error) {
+      if (error.code === 'EAGAIN') continue;
+      if (error.code === 'EOF') break;
+      throw error;
+    }
+    if (count === 0) break;
+    if (buffer[0] === 0x0A) {
+      return Buffer.from(bytes).toString('utf8').replace(/\r$/, "");
+    }
+    bytes.push(buffer[0]);
+  }
+  return bytes.length === 0 ? null : Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Resolves the real location of a path, following symlinks in the part of it
+ * that already exists, so a link inside the root can't point outside of it.
+ * @param {string} target An absolute path.
+ * @returns {string}
+ */
+function realLocation(target) {
+  const missing = [];
+  let current = target;
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+  return path.join(fs.realpathSync(current), ...missing);
+}
+
+/**
+ * Creates the check that keeps scripts inside the root directory granted by
+ * the host. It guards the file natives and `import`.
+ * @param {{ root: string, readOnly?: boolean } | null} fileSystem
+ * @returns {function(string, boolean, string=): string} Checks that a script may access a
+ *   path, resolved against a base directory that defaults to the root, and returns its
+ *   real location. Throws an Error starting with "Permission denied" if it may not.
+ */
+function createAuthorizer(fileSystem) {
+  const root = fileSystem === null ? null : realLocation(path.resolve(fileSystem.root));
+  const readOnly = fileSystem?.readOnly ?? false;
+
+  return (requested, write, base = root) => {
+    if (root === null) {
+      throw new Error("Permission denied: file access is disabled.");
+    }
+    if (write && readOnly) {
+      throw new Error(`Permission denied: can't write '${requested}' in read-only mode.`);
+    }
+
+    const location = realLocation(path.resolve(base, requested));
+    const relative = path.relative(root, location);
+    if (relative === ".." || relative.startsWith(".." + path.sep) || path.isAbsolute(relative)) {
+      throw new Error(`Permission denied: '${requested}' is outside the allowed directory.`);
+    }
+    return location;
+  };
+}
+
+/**
+ * Registers the I/O natives on an interpreter.
+ * @param {Interpreter} interpreter
+ * @param {object} [options]
+ * @param {{ root: string, readOnly?: boolean } | null} [options.fileSystem=null] The directory
+ *   file natives may access, and whether they may modify it.
+ * @param {function(): (string | null)} [options.readLine] Supplies lines to `input`.
+ *   Defaults to reading the process's standard input.
+ */
+function installIoLibrary(interpreter, { fileSystem = null, readLine = readLineFromStdin } = {}) {
+  const authorize = createAuthorizer(fileSystem);
+
+  /**
+   * Runs a file system operation, turning host errors into readable messages.
+   * @param {string} action What was being done, for the message.
+   * @param {string} requested The path as written in the script.
+   * @param {function(): any} operation
+   * @returns {any}
+   */
+  function attempt(action, requested, operation) {
+    try {
+      return operation();
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`Can't ${action} '${requested}': no such file.`);
+      if (error.code === 'EISDIR') throw new Error(`Can't ${action} '${requested}': it is a directory.`);
+      if (error.code === 'EACCES') throw new Error(`Can't ${action} '${requested}': access denied by the system.`);
+      throw error;
+    }
+  }
+
+  const natives = {
+    input: {
+      minArity: 0,
+      maxArity: 1,
+      params: ["string"],
+      fn: (prompt) => {
+        if (prompt !== undefined) interpreter.stdout.write(prompt);
+        return readLine();
+      }
+    },
+    readFile: {
+      params: ["string"],
+      fn: (file) => {
+        const location = authorize(file, false);
+        return attempt("read", file, () => fs.readFileSync(location, 'utf8'));
+      }
+    },
+    writeFile: {
+      params: ["string", "string"],
+      fn: (file, content) => {
+        const location = authorize(file, true);
+        attempt("write", file, () => fs.writeFileSync(location, content, 'utf8'));
+      }
+    },
+    appendFile: {
+      params: ["string", "string"],
+      fn: (file, content) => {
+        const location = authorize(file, true);
+        attempt("append to", file, () => fs.appendFileSync(location, content, 'utf8'));
+      }
+    },
+    exists: {
+      params: ["string"],
+      fn: (file) => fs.existsSync(authorize(file, false))
+    }
+  };
+
+  for (const [name, spec] of Object.entries(natives)) {
+    interpreter.defineNative(name, spec);
+  }
+}
+
+installIoLibrary.createAuthorizer = createAuthorizer;
+
+module.exports = installIoLibrary;
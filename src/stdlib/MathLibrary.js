@@ -0,0 +1,94 @@
+/**
+ * The math toolkit: rounding, powers, trigonometry, `pi` and a seedable
+ * random number generator, so scripts that use `random` can be made
+ * deterministic with `seed(n)` or the interpreter's `randomSeed` option.
+ */
+
+/**
+ * Creates a small, fast pseudo-random generator (mulberry32) from a 32-bit seed.
+ * @param {number} seed
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Registers the math natives and constants on an interpreter.
+ * @param {Interpreter} interpreter
+ * @param {number | null} [randomSeed=null] The initial seed for `random`. A time-based
+ *   seed is used when none is given.
+ */
+function installMathLibrary(interpreter, randomSeed = null) {
+  let random = createRandom(randomSeed ?? Date.now());
+
+  const unary = (fn) => ({ params: ["number"], fn });
+
+  const natives = {
+    floor: unary(Math.floor),
+    ceil: unary(Math.ceil),
+    round: unary(Math.round),
+    abs: unary(Math.abs),
+    sqrt: unary((x) => {
+      if (x < 0) throw new Error("Can't take the square root of a negative number.");
+      return Math.sqrt(x);
+    }),
+    pow: {
+      params: ["number", "number"],
+      fn: Math.pow
+    },
+    min: {
+      minArity: 1,
+      maxArity: Infinity,
+      params: ["number"],
+      fn: Math.min
+    },
+    max: {
+      minArity: 1,
+      maxArity: Infinity,
+      params: ["number"],
+      fn: Math.max
+    },
+    sin: unary(Math.sin),
+    cos: unary(Math.cos),
+    tan: unary(Math.tan),
+    asin: unary((x) => {
+      if (x < -1 || x > 1) throw new Error("Argument of 'asin' must be between -1 and 1.");
+      return Math.asin(x);
+    }),
+    acos: unary((x) => {
+      if (x < -1 || x > 1) throw new Error("Argument of 'acos' must be between -1 and 1.");
+      return Math.acos(x);
+    }),
+    atan: unary(Math.atan),
+    atan2: {
+      params: ["number", "number"],
+      fn: Math.atan2
+    },
+    random: {
+      arity: 0,
+      fn: () => random()
+    },
+    seed: {
+      params: ["number"],
+      fn: (seed) => {
+        random = createRandom(seed);
+      }
+    }
+  };
+
+  for (const [name, spec] of Object.entries(natives)) {
+    interpreter.defineNative(name, spec);
+  }
+
+  interpreter.defineBuiltin("pi", Math.PI);
+}
+
+module.exports = installMathLibrary;
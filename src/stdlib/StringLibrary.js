@@ -0,0 +1,126 @@
+/**
+ * The string toolkit. Every function is a global native, and the ones whose
+ * first parameter is a string can also be called as methods on strings:
+ * `upper("abc")` and `"abc".upper()` are equivalent.
+ */
+
+/**
+ * Throws if a value isn't an integer. Natives report plain errors as runtime
+ * errors at the call site.
+ * @param {string} what A description of the argument for the message.
+ * @param {number} value
+ */
+function checkInteger(what, value) {
+  if (!Number.isInteger(value)) {
+    throw new Error(`${what} must be an integer.`);
+  }
+}
+
+/**
+ * Registers the string natives on an interpreter.
+ * @param {Interpreter} interpreter
+ */
+function installStringLibrary(interpreter) {
+  const natives = {
+    len: {
+      params: ["string|list|map"],
+      fn: (value) => (value instanceof Map ? value.size : value.length)
+    },
+    substr: {
+      minArity: 2,
+      maxArity: 3,
+      params: ["string", "number", "number"],
+      fn: (string, start, length = string.length - start) => {
+        checkInteger("Start index", start);
+        checkInteger("Length", length);
+        if (start < 0 || start > string.length) {
+          throw new Error(`Start index ${start} out of bounds for length ${string.length}.`);
+        }
+        if (length < 0) throw new Error("Length can't be negative.");
+        return string.substring(start, start + length);
+      }
+    },
+    indexOf: {
+      params: ["string", "string"],
+      fn: (string, search) => string.indexOf(search)
+    },
+    split: {
+      params: ["string", "string"],
+      fn: (string, separator) => string.split(separator)
+    },
+    join: {
+      minArity: 1,
+      maxArity: 2,
+      params: ["list", "string"],
+      fn: (list, separator = "") => list.map((element) => interpreter.stringify(element)).join(separator)
+    },
+    upper: {
+      params: ["string"],
+      fn: (string) => string.toUpperCase()
+    },
+    lower: {
+      params: ["string"],
+      fn: (string) => string.toLowerCase()
+    },
+    trim: {
+      params: ["string"],
+      fn: (string) => string.trim()
+    },
+    replace: {
+      params: ["string", "string", "string"],
+      fn: (string, search, replacement) => string.split(search).join(replacement)
+    },
+    startsWith: {
+      params: ["string", "string"],
+      fn: (string, prefix) => string.startsWith(prefix)
+    },
+    repeat: {
+      params: ["string", "number"],
+      fn: (string, count) => {
+        checkInteger("Repeat count", count);
+        if (count < 0) throw new Error("Repeat count can't be negative.");
+        return string.repeat(count);
+      }
+    },
+    ord: {
+      params: ["string"],
+      fn: (string) => {
+        if (string.length !== 1) throw new Error("Expected a single character.");
+        return string.charCodeAt(0);
+      }
+    },
+    chr: {
+      params: ["number"],
+      fn: (code) => {
+        checkInteger("Character code", code);
+        if (code < 0 || code > 0xFFFF) throw new Error(`Character code ${code} out of range.`);
+        return String.fromCharCode(code);
+      }
+    },
+    str: {
+      params: ["any"],
+      fn: (value) => interpreter.stringify(value)
+    },
+    num: {
+      params: ["string|number"],
+      fn: (value) => {
+        if (typeof value === 'number') return value;
+        const text = value.trim();
+        const number = Number(text);
+        if (text === "" || Number.isNaN(number)) {
+          throw new Error(`Can't convert "${value}" to a number.`);
+        }
+        return number;
+      }
+    }
+  };
+
+  for (const [name, spec] of Object.entries(natives)) {
+    const native = interpreter.defineNative(name, spec);
+    if (spec.params[0].split("|").includes("string")) {
+      interpreter.stringMethods.set(name, native);
+    }
+  }
+}
+
+module.exports = installStringLibrary;
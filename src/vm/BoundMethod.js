@@ -0,0 +1,27 @@
+const Callable = require('../Callable');
+
+/**
+ * A method read from an instance, remembering the instance so that
+ * calling it later still binds 'this' correctly.
+ */
+class BoundMethod extends Callable {
+  /**
+   * @param {Instance} receiver The instance the method was read from.
+   * @param {Closure} method The method.
+   */
+  constructor(receiver, method) {
+    super();
+    this.receiver = receiver;
+    this.method = method;
+  }
+
+  arity() {
+    return this.method.arity();
+  }
+
+  toString() {
+    return this.method.toString();
+  }
+}
+
+module.exports = BoundMethod;
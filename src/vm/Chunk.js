@@ -0,0 +1,53 @@
+/**
+ * A compiled sequence of instructions together with the constants it uses.
+ * Every instruction also remembers the token it came from, so runtime errors
+ * point at the same place as in the tree-walking interpreter.
+ */
+class Chunk {
+  constructor() {
+    /**
+     * Opcodes and their operands.
+     * @type {any[]}
+     */
+    this.code = [];
+    /**
+     * The token of the instruction starting at each offset, if any.
+     * @type {(Token | null)[]}
+     */
+    this.tokens = [];
+    /**
+     * @type {any[]}
+     */
+    this.constants = [];
+  }
+
+  /**
+   * Appends an instruction.
+   * @param {string} op The opcode, one of the values in OpCode.
+   * @param {Token | null} token The token to report errors at.
+   * @param {...any} operands
+   * @returns {number} The offset of the instruction.
+   */
+  write(op, token, ...operands) {
+    const offset = this.code.length;
+    this.code.push(op, ...operands);
+    this.tokens[offset] = token;
+    return offset;
+  }
+
+  /**
+   * Adds a value to the constant table, reusing an existing entry for strings and numbers.
+   * @param {any} value
+   * @returns {number} The constant's index.
+   */
+  addConstant(value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      const existing = this.constants.indexOf(value);
+      if (existing !== -1) return existing;
+    }
+    this.constants.push(value);
+    return this.constants.length - 1;
+  }
+}
+
+module.exports = Chunk;
@@ -0,0 +1,40 @@
+const Callable = require('../Callable');
+const BoundMethod = require('./BoundMethod');
+
+/**
+ * The virtual machine's runtime representation of a function: the compiled
+ * code plus the variables it captured and the globals of the file it was
+ * declared in. Calls are carried out by the VM itself.
+ */
+class Closure extends Callable {
+  /**
+   * @param {CompiledFunction} func The compiled function.
+   * @param {Upvalue[]} upvalues The captured variables.
+   * @param {Environment} globals The global environment of the function's module.
+   */
+  constructor(func, upvalues, globals) {
+    super();
+    this.function = func;
+    this.upvalues = upvalues;
+    this.globals = globals;
+  }
+
+  /**
+   * Creates the method form of this closure, with 'this' bound to an instance.
+   * @param {Instance} instance The instance the method is accessed from.
+   * @returns {BoundMethod}
+   */
+  bind(instance) {
+    return new BoundMethod(instance, this);
+  }
+
+  arity() {
+    return this.function.arity;
+  }
+
+  toString() {
+    return `<fn ${this.function.name}>`;
+  }
+}
+
+module.exports = Closure;
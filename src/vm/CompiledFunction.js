@@ -0,0 +1,24 @@
+const Chunk = require('./Chunk');
+
+/**
+ * The compiled form of a function body, a lambda or a whole script.
+ * It holds no state of its own: every evaluation of the declaration
+ * wraps it in a new Closure.
+ */
+class CompiledFunction {
+  /**
+   * @param {string | null} name The function's name, "anonymous" for lambdas,
+   *   or null for the top level of a script.
+   * @param {number} arity How many parameters the function declares.
+   * @param {boolean} [isInitializer=false] Whether this is a class's 'init' method.
+   */
+  constructor(name, arity, isInitializer = false) {
+    this.name = name;
+    this.arity = arity;
+    this.isInitializer = isInitializer;
+    this.upvalueCount = 0;
+    this.chunk = new Chunk();
+  }
+}
+
+module.exports = CompiledFunction;
@@ -0,0 +1,726 @@
+const TokenType = require('../TokenType');
+const OpCode = require('./OpCode');
+const CompiledFunction = require('./CompiledFunction');
+
+/**
+ * An object that acts as an enum for the kinds of functions being compiled.
+ */
+const FunctionType = Object.freeze({
+  SCRIPT:      'SCRIPT',
+  FUNCTION:    'FUNCTION',
+  METHOD:      'METHOD',
+  INITIALIZER: 'INITIALIZER'
+});
+
+/**
+ * Binary operators with a dedicated instruction. The others share BINARY.
+ */
+const BINARY_OPCODES = Object.freeze({
+  [TokenType.PLUS]:        OpCode.ADD,
+  [TokenType.MINUS]:       OpCode.SUBTRACT,
+  [TokenType.STAR]:        OpCode.MULTIPLY,
+  [TokenType.LESS]:        OpCode.LESS,
+  [TokenType.GREATER]:     OpCode.GREATER,
+  [TokenType.EQUAL_EQUAL]: OpCode.EQUAL
+});
+
+/**
+ * The compilation state of one function. Functions nest, so each state
+ * points at the state of the function it is declared in.
+ */
+class FunctionState {
+  /**
+   * @param {FunctionState | null} enclosing The state of the surrounding function.
+   * @param {CompiledFunction} func The function being filled in.
+   * @param {string} type One of the values in FunctionType.
+   */
+  constructor(enclosing, func, type) {
+    this.enclosing = enclosing;
+    this.function = func;
+    this.type = type;
+    /**
+     * The local variables in stack order. Slot 0 holds the called function,
+     * or 'this' in methods. A null name marks a slot no code can refer to.
+     * @type {{ name: string | null, depth: number, isCaptured: boolean }[]}
+     */
+    this.locals = [{
+      name: type === FunctionType.METHOD || type === FunctionType.INITIALIZER ? "this" : null,
+      depth: 0,
+      isCaptured: false
+    }];
+    /**
+     * @type {{ index: number, isLocal: boolean }[]}
+     */
+    this.upvalues = [];
+    this.scopeDepth = 0;
+    /**
+     * The loops being compiled, innermost last.
+     * @type {{ scopeDepth: number, tryDepth: number, breakJumps: number[], continueJumps: number[] }[]}
+     */
+    this.loops = [];
+    /**
+     * The try blocks whose body is being compiled, innermost last. Leaving
+     * one with 'break', 'continue' or 'return' must remove its handler and
+     * run its finally clause first.
+     * @type {{ localCount: number, finallyBody: Stmt[] | null }[]}
+     */
+    this.tries = [];
+  }
+}
+
+/**
+ * Compiles a resolved syntax tree into bytecode for the VM. The Resolver must
+ * already have accepted the program: the compiler does not report errors.
+ *
+ * Local variables live in stack slots and are found at compile time; variables
+ * captured by closures become upvalues. Top-level variables are globals.
+ */
+class Compiler {
+  constructor() {
+    /**
+     * @type {FunctionState | null}
+     */
+    this.current = null;
+  }
+
+  /**
+   * Compiles a whole script.
+   * @param {Stmt[]} statements The script's statements.
+   * @returns {CompiledFunction} The function that runs the script's top level.
+   */
+  compile(statements) {
+    this.current = new FunctionState(null, new CompiledFunction(null, 0), FunctionType.SCRIPT);
+    for (const statement of statements) {
+      this.statement(statement);
+    }
+    this.emit(OpCode.NIL, null);
+    this.emit(OpCode.RETURN, null);
+    return this.current.function;
+  }
+
+  // Statement compilation methods:
+  visitExpressionStmt(stmt) {
+    this.expression(stmt.expression);
+    this.emit(OpCode.POP, null);
+  }
+
+  visitPrintStmt(stmt) {
+    this.expression(stmt.expression);
+    this.emit(OpCode.PRINT, null);
+  }
+
+  visitVariableStmt(stmt) {
+    if (stmt.initializer !== null) {
+      this.expression(stmt.initializer);
+    } else {
+      this.emit(OpCode.NIL, null);
+    }
+    this.defineVariable(stmt.name);
+  }
+
+  visitBlockStmt(stmt) {
+    this.beginScope();
+    this.statements(stmt.statements);
+    this.endScope();
+  }
+
+  visitIfStmt(stmt) {
+    this.expression(stmt.condition);
+    const thenJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+    this.emit(OpCode.POP, null);
+    this.statement(stmt.thenBranch);
+
+    const elseJump = this.emitJump(OpCode.JUMP);
+    this.patchJump(thenJump);
+    this.emit(OpCode.POP, null);
+    if (stmt.elseBranch !== null) this.statement(stmt.elseBranch);
+    this.patchJump(elseJump);
+  }
+
+  visitWhileStmt(stmt) {
+    const loopStart = this.chunk().code.length;
+    this.expression(stmt.condition);
+    const exitJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+    this.emit(OpCode.POP, null);
+
+    this.loopBody(stmt.body, loopStart, null);
+
+    this.patchJump(exitJump);
+    this.emit(OpCode.POP, null);
+    this.patchLoopExits();
+  }
+
+  visitForStmt(stmt) {
+    this.beginScope();
+    if (stmt.initializer !== null) this.statement(stmt.initializer);
+
+    const loopStart = this.chunk().code.length;
+    let exitJump = null;
+    if (stmt.condition !== null) {
+      this.expression(stmt.condition);
+      exitJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+      this.emit(OpCode.POP, null);
+    }
+
+    this.loopBody(stmt.body, loopStart, stmt.increment);
+
+    if (exitJump !== null) {
+      this.patchJump(exitJump);
+      this.emit(OpCode.POP, null);
+    }
+    this.patchLoopExits();
+    this.endScope();
+  }
+
+  visitBreakStmt() {
+    const loop = this.current.loops[this.current.loops.length - 1];
+    this.leaveTries(loop.tryDepth);
+    this.discardLocals(loop.scopeDepth);
+    loop.breakJumps.push(this.emitJump(OpCode.JUMP));
+  }
+
+  visitContinueStmt() {
+    const loop = this.current.loops[this.current.loops.length - 1];
+    this.leaveTries(loop.tryDepth);
+    this.discardLocals(loop.scopeDepth);
+    loop.continueJumps.push(this.emitJump(OpCode.JUMP));
+  }
+
+  visitFunctionStmt(stmt) {
+    // A local function is declared before its body, so it can call itself.
+    if (this.current.scopeDepth > 0) {
+      this.addLocal(stmt.name.lexeme);
+      this.function(stmt, FunctionType.FUNCTION);
+      return;
+    }
+    this.function(stmt, FunctionType.FUNCTION);
+    this.emit(OpCode.DEFINE_GLOBAL, stmt.name, this.constant(stmt.name.lexeme));
+  }
+
+  visitReturnStmt(stmt) {
+    if (stmt.value !== null) {
+      this.expression(stmt.value);
+    } else if (this.current.type === FunctionType.INITIALIZER) {
+      this.emit(OpCode.GET_LOCAL, stmt.keyword, 0);
+    } else {
+      this.emit(OpCode.NIL, null);
+    }
+
+    if (this.current.tries.length > 0) {
+      // Keep the return value in a slot of its own while finally clauses run.
+      this.current.locals.push({ name: null, depth: this.current.scopeDepth, isCaptured: false });
+      this.leaveTries(0);
+      this.current.locals.pop();
+    }
+    this.emit(OpCode.RETURN, stmt.keyword);
+  }
+
+  visitClassStmt(stmt) {
+    const name = stmt.name;
+    this.emit(OpCode.CLASS, name, this.constant(name.lexeme));
+    this.defineVariable(name);
+
+    if (stmt.superclass !== null) {
+      this.expression(stmt.superclass);
+      this.beginScope();
+      this.addLocal("super");
+
+      this.namedVariable(name.lexeme, name, false);
+      this.emit(OpCode.INHERIT, stmt.superclass.name);
+    }
+
+    this.namedVariable(name.lexeme, name, false);
+    for (const method of stmt.methods) {
+      const type = method.name.lexeme === "init" ? FunctionType.INITIALIZER : FunctionType.METHOD;
+      this.function(method, type);
+      this.emit(OpCode.METHOD, method.name, this.constant(method.name.lexeme));
+    }
+    this.emit(OpCode.POP, null);
+
+    if (stmt.superclass !== null) this.endScope();
+  }
+
+  visitImportStmt(stmt) {
+    this.emit(OpCode.IMPORT, stmt.keyword, this.constant(stmt.path.literal));
+    if (stmt.alias !== null) {
+      this.emit(OpCode.DEFINE_GLOBAL, stmt.alias, this.constant(stmt.alias.lexeme));
+    } else {
+      this.emit(OpCode.IMPORT_ALL, stmt.keyword);
+    }
+  }
+
+  visitExportStmt(stmt) {
+    this.statement(stmt.declaration);
+  }
+
+  visitThrowStmt(stmt) {
+    this.expression(stmt.value);
+    this.emit(OpCode.THROW, stmt.keyword);
+  }
+
+  /**
+   * Compiles a try statement. One with both clauses is compiled as a try/catch
+   * nested inside a try/finally.
+   * @param {Stmt.Try} stmt The try statement node.
+   */
+  visitTryStmt(stmt) {
+    if (stmt.finallyBody === null) {
+      this.tryCatch(stmt.keyword, stmt.body, stmt.catchName, stmt.catchBody);
+    } else if (stmt.catchBody === null) {
+      this.tryFinally(stmt.keyword, () => this.block(stmt.body), stmt.finallyBody);
+    } else {
+      this.tryFinally(stmt.keyword, () => {
+        this.tryCatch(stmt.keyword, stmt.body, stmt.catchName, stmt.catchBody);
+      }, stmt.finallyBody);
+    }
+  }
+
+  // Expression compilation methods:
+  visitLiteralExpr(expr) {
+    if (expr.value === null) {
+      this.emit(OpCode.NIL, null);
+    } else if (expr.value === true) {
+      this.emit(OpCode.TRUE, null);
+    } else if (expr.value === false) {
+      this.emit(OpCode.FALSE, null);
+    } else {
+      this.emit(OpCode.CONSTANT, null, this.constant(expr.value));
+    }
+  }
+
+  visitGroupingExpr(expr) {
+    this.expression(expr.expression);
+  }
+
+  visitUnaryExpr(expr) {
+    this.expression(expr.right);
+    this.emit(OpCode.UNARY, expr.operator);
+  }
+
+  visitBinaryExpr(expr) {
+    this.expression(expr.left);
+    this.expression(expr.right);
+    this.emit(BINARY_OPCODES[expr.operator.type] ?? OpCode.BINARY, expr.operator);
+  }
+
+  visitTernaryExpr(expr) {
+    this.expression(expr.condition);
+    const elseJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+    this.emit(OpCode.POP, null);
+    this.expression(expr.thenBranch);
+
+    const endJump = this.emitJump(OpCode.JUMP);
+    this.patchJump(elseJump);
+    this.emit(OpCode.POP, null);
+    this.expression(expr.elseBranch);
+    this.patchJump(endJump);
+  }
+
+  visitVariableExpr(expr) {
+    this.namedVariable(expr.name.lexeme, expr.name, false);
+  }
+
+  visitAssignExpr(expr) {
+    this.expression(expr.value);
+    this.namedVariable(expr.name.lexeme, expr.name, true);
+  }
+
+  visitThisExpr(expr) {
+    this.namedVariable("this", expr.keyword, false);
+  }
+
+  visitSuperExpr(expr) {
+    this.namedVariable("this", expr.keyword, false);
+    this.namedVariable("super", expr.keyword, false);
+    this.emit(OpCode.GET_SUPER, expr.method, this.constant(expr.method.lexeme));
+  }
+
+  visitCallExpr(expr) {
+    this.expression(expr.callee);
+    for (const argument of expr.arguments) {
+      this.expression(argument);
+    }
+    this.emit(OpCode.CALL, expr.paren, expr.arguments.length);
+  }
+
+  visitGetExpr(expr) {
+    this.expression(expr.object);
+    this.emit(OpCode.GET_PROPERTY, expr.name, this.constant(expr.name.lexeme));
+  }
+
+  visitSetExpr(expr) {
+    this.expression(expr.object);
+    this.emit(OpCode.CHECK_FIELD_TARGET, expr.name, this.constant(expr.name.lexeme));
+    this.expression(expr.value);
+    this.emit(OpCode.SET_PROPERTY, expr.name, this.constant(expr.name.lexeme));
+  }
+
+  visitLambdaExpr(expr) {
+    this.function(expr, FunctionType.FUNCTION);
+  }
+
+  visitListExpr(expr) {
+    for (const element of expr.elements) {
+      this.expression(element);
+    }
+    this.emit(OpCode.LIST, expr.bracket, expr.elements.length);
+  }
+
+  visitMapExpr(expr) {
+    for (let i = 0; i < expr.keys.length; i++) {
+      this.expression(expr.keys[i]);
+      this.emit(OpCode.CHECK_MAP_KEY, expr.brace);
+      this.expression(expr.values[i]);
+    }
+    this.emit(OpCode.MAP, expr.brace, expr.keys.length);
+  }
+
+  visitIndexExpr(expr) {
+    this.expression(expr.object);
+    this.expression(expr.index);
+    this.emit(OpCode.GET_INDEX, expr.bracket);
+  }
+
+  visitIndexSetExpr(expr) {
+    this.expression(expr.object);
+    this.expression(expr.index);
+    this.emit(OpCode.CHECK_INDEX_TARGET, expr.bracket);
+    this.expression(expr.value);
+    this.emit(OpCode.SET_INDEX, expr.bracket);
+  }
+
+  // Helpers:
+  statement(stmt) {
+    // Every statement counts as one step, as in the Interpreter's `execute`.
+    this.emit(OpCode.STEP, null, this.constant(stmt.span));
+    stmt.accept(this);
+  }
+
+  statements(statements) {
+    for (const statement of statements) {
+      this.statement(statement);
+    }
+  }
+
+  expression(expr) {
+    expr.accept(this);
+  }
+
+  /**
+   * Compiles a list of statements in a scope of their own.
+   * @param {Stmt[]} statements
+   */
+  block(statements) {
+    this.beginScope();
+    this.statements(statements);
+    this.endScope();
+  }
+
+  /**
+   * Compiles a function declaration or lambda and emits the instruction
+   * that creates its closure.
+   * @param {Stmt.Function | Expr.Lambda} declaration
+   * @param {string} type One of the values in FunctionType.
+   */
+  function(declaration, type) {
+    const name = declaration.name === undefined ? "anonymous" : declaration.name.lexeme;
+    const func = new CompiledFunction(name, declaration.params.length, type === FunctionType.INITIALIZER);
+    this.current = new FunctionState(this.current, func, type);
+
+    // Parameters and the body's own declarations share one scope.
+    this.beginScope();
+    for (const param of declaration.params) {
+      this.addLocal(param.lexeme);
+    }
+    this.statements(declaration.body);
+
+    if (type === FunctionType.INITIALIZER) {
+      this.emit(OpCode.GET_LOCAL, null, 0);
+    } else {
+      this.emit(OpCode.NIL, null);
+    }
+    this.emit(OpCode.RETURN, null);
+
+    const state = this.current;
+    this.current = state.enclosing;
+    func.upvalueCount = state.upvalues.length;
+
+    const operands = [this.constant(func)];
+    for (const upvalue of state.upvalues) {
+      operands.push(upvalue.isLocal ? 1 : 0, upvalue.index);
+    }
+    this.emit(OpCode.CLOSURE, declaration.name ?? declaration.keyword, ...operands);
+  }
+
+  /**
+   * Compiles a loop body, followed by the increment and the jump back to the start.
+   * @param {Stmt} body
+   * @param {number} loopStart The offset the loop jumps back to.
+   * @param {Expr | null} increment
+   */
+  loopBody(body, loopStart, increment) {
+    const loop = {
+      scopeDepth: this.current.scopeDepth,
+      tryDepth: this.current.tries.length,
+      breakJumps: [],
+      continueJumps: []
+    };
+    this.current.loops.push(loop);
+    this.statement(body);
+
+    for (const jump of loop.continueJumps) this.patchJump(jump);
+    if (increment !== null) {
+      this.expression(increment);
+      this.emit(OpCode.POP, null);
+    }
+    this.emit(OpCode.JUMP, null, loopStart);
+  }
+
+  /**
+   * Points the 'break' jumps of the innermost loop here and forgets the loop.
+   */
+  patchLoopExits() {
+    const loop = this.current.loops.pop();
+    for (const jump of loop.breakJumps) this.patchJump(jump);
+  }
+
+  /**
+   * Compiles a try/catch. When the body throws, the VM discards everything
+   * above the stack height at PUSH_HANDLER, pushes the error and jumps to the handler.
+   * @param {Token} keyword The 'try' token.
+   * @param {Stmt[]} body
+   * @param {Token} catchName
+   * @param {Stmt[]} catchBody
+   */
+  tryCatch(keyword, body, catchName, catchBody) {
+    const handlerJump = this.emitJump(OpCode.PUSH_HANDLER, keyword);
+    this.current.tries.push({ localCount: this.current.locals.length, finallyBody: null });
+    this.block(body);
+    this.current.tries.pop();
+    this.emit(OpCode.POP_HANDLER, null);
+    const endJump = this.emitJump(OpCode.JUMP);
+
+    this.patchJump(handlerJump);
+    this.emit(OpCode.CATCH, catchName);
+    this.beginScope();
+    this.addLocal(catchName.lexeme);
+    this.statements(catchBody);
+    this.endScope();
+
+    this.patchJump(endJump);
+  }
+
+  /**
+   * Compiles a try/finally. The finally clause is copied to every way out of
+   * the body: falling off its end, throwing, and 'break', 'continue' or 'return'.
+   * @param {Token} keyword The 'try' token.
+   * @param {function(): void} compileBody Compiles the protected code.
+   * @param {Stmt[]} finallyBody
+   */
+  tryFinally(keyword, compileBody, finallyBody) {
+    const handlerJump = this.emitJump(OpCode.PUSH_HANDLER, keyword);
+    this.current.tries.push({ localCount: this.current.locals.length, finallyBody });
+    compileBody();
+    this.current.tries.pop();
+    this.emit(OpCode.POP_HANDLER, null);
+    this.block(finallyBody);
+    const endJump = this.emitJump(OpCode.JUMP);
+
+    // The error is on the stack; run the clause, then throw it again.
+    this.patchJump(handlerJump);
+    this.current.locals.push({ name: null, depth: this.current.scopeDepth, isCaptured: false });
+    this.block(finallyBody);
+    this.current.locals.pop();
+    this.emit(OpCode.RETHROW, null);
+
+    this.patchJump(endJump);
+  }
+
+  /**
+   * Emits the code for jumping out of the innermost try blocks: removing their
+   * handlers and running their finally clauses, innermost first.
+   * @param {number} depth How many of the enclosing try blocks stay active.
+   */
+  leaveTries(depth) {
+    const state = this.current;
+    const tries = state.tries;
+    for (let i = tries.length - 1; i >= depth; i--) {
+      this.emit(OpCode.POP_HANDLER, null);
+      if (tries[i].finallyBody === null) continue;
+
+      // The clause runs while the locals declared inside the try block still
+      // occupy their slots, but it can't see them.
+      const hidden = state.locals.slice(tries[i].localCount);
+      const names = hidden.map((local) => local.name);
+      for (const local of hidden) local.name = null;
+      state.tries = tries.slice(0, i);
+
+      this.block(tries[i].finallyBody);
+
+      state.tries = tries;
+      hidden.forEach((local, index) => { local.name = names[index]; });
+    }
+  }
+
+  /**
+   * Emits the code discarding the locals deeper than a scope, without
+   * forgetting them: used by jumps out of nested scopes.
+   * @param {number} depth The scope depth being jumped to.
+   */
+  discardLocals(depth) {
+    const locals = this.current.locals;
+    for (let i = locals.length - 1; i >= 0 && locals[i].depth > depth; i--) {
+      this.emit(locals[i].isCaptured ? OpCode.CLOSE_UPVALUE : OpCode.POP, null);
+    }
+  }
+
+  /**
+   * Emits the instruction that reads or writes a variable, looking for it
+   * among the locals, then the enclosing functions' variables, then the globals.
+   * @param {string} name The variable's name.
+   * @param {Token} token The token to report errors at.
+   * @param {boolean} isAssignment Whether the value on top of the stack is assigned to it.
+   */
+  namedVariable(name, token, isAssignment) {
+    let slot = this.resolveLocal(this.current, name);
+    if (slot !== -1) {
+      this.emit(isAssignment ? OpCode.SET_LOCAL : OpCode.GET_LOCAL, token, slot);
+      return;
+    }
+
+    slot = this.resolveUpvalue(this.current, name);
+    if (slot !== -1) {
+      this.emit(isAssignment ? OpCode.SET_UPVALUE : OpCode.GET_UPVALUE, token, slot);
+      return;
+    }
+
+    this.emit(isAssignment ? OpCode.SET_GLOBAL : OpCode.GET_GLOBAL, token, this.constant(name));
+  }
+
+  /**
+   * @param {FunctionState} state
+   * @param {string} name
+   * @returns {number} The variable's stack slot, or -1 if it isn't a local of the function.
+   */
+  resolveLocal(state, name) {
+    for (let i = state.locals.length - 1; i >= 0; i--) {
+      if (state.locals[i].name === name) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Finds a variable of an enclosing function and captures it.
+   * @param {FunctionState} state
+   * @param {string} name
+   * @returns {number} The index of the upvalue, or -1 if the variable is global.
+   */
+  resolveUpvalue(state, name) {
+    if (state.enclosing === null) return -1;
+
+    const local = this.resolveLocal(state.enclosing, name);
+    if (local !== -1) {
+      state.enclosing.locals[local].isCaptured = true;
+      return this.addUpvalue(state, local, true);
+    }
+
+    const upvalue = this.resolveUpvalue(state.enclosing, name);
+    if (upvalue !== -1) {
+      return this.addUpvalue(state, upvalue, false);
+    }
+    return -1;
+  }
+
+  /**
+   * @param {FunctionState} state
+   * @param {number} index The captured slot or upvalue of the enclosing function.
+   * @param {boolean} isLocal Whether `index` is a slot rather than an upvalue.
+   * @returns {number} The index of the upvalue.
+   */
+  addUpvalue(state, index, isLocal) {
+    const existing = state.upvalues.findIndex((upvalue) => upvalue.index === index && upvalue.isLocal === isLocal);
+    if (existing !== -1) return existing;
+
+    state.upvalues.push({ index, isLocal });
+    return state.upvalues.length - 1;
+  }
+
+  /**
+   * Binds the value on top of the stack to a name: a new global at the top
+   * level, or a new local in its current slot.
+   * @param {Token} name
+   */
+  defineVariable(name) {
+    if (this.current.scopeDepth > 0) {
+      this.addLocal(name.lexeme);
+      return;
+    }
+    this.emit(OpCode.DEFINE_GLOBAL, name, this.constant(name.lexeme));
+  }
+
+  /**
+   * @param {string} name
+   */
+  addLocal(name) {
+    this.current.locals.push({ name, depth: this.current.scopeDepth, isCaptured: false });
+  }
+
+  beginScope() {
+    this.current.scopeDepth++;
+  }
+
+  endScope() {
+    const state = this.current;
+    state.scopeDepth--;
+    const locals = state.locals;
+    while (locals.length > 0 && locals[locals.length - 1].depth > state.scopeDepth) {
+      this.emit(locals[locals.length - 1].isCaptured ? OpCode.CLOSE_UPVALUE : OpCode.POP, null);
+      locals.pop();
+    }
+  }
+
+  /**
+   * @returns {Chunk} The chunk of the function being compiled.
+   */
+  chunk() {
+    return this.current.function.chunk;
+  }
+
+  /**
+   * @param {any} value
+   * @returns {number} The value's index in the constant table.
+   */
+  constant(value) {
+    return this.chunk().addConstant(value);
+  }
+
+  /**
+   * @param {string} op The opcode.
+   * @param {Token | null} token The token to report errors at.
+   * @param {...any} operands
+   */
+  emit(op, token, ...operands) {
+    this.chunk().write(op, token, ...operands);
+  }
+
+  /**
+   * Emits a jump whose target is filled in later by `patchJump`.
+   * @param {string} op The jump opcode.
+   * @param {Token | null} [token=null]
+   * @returns {number} The offset of the target operand.
+   */
+  emitJump(op, token = null) {
+    return this.chunk().write(op, token, -1) + 1;
+  }
+
+  /**
+   * Points a jump at the current end of the chunk.
+   * @param {number} operand The offset returned by `emitJump`.
+   */
+  patchJump(operand) {
+    const code = this.chunk().code;
+    code[operand] = code.length;
+  }
+}
+
+module.exports = Compiler;
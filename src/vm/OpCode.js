@@ -0,0 +1,74 @@
+/**
+ * An object that acts as an enum for the instructions of the virtual machine.
+ * Operands follow the opcode in the chunk's code array; the comment after
+ * each instruction lists them.
+ */
+const OpCode = Object.freeze({
+  // Constants and the stack.
+  CONSTANT:           'CONSTANT',            // constant index
+  NIL:                'NIL',
+  TRUE:               'TRUE',
+  FALSE:              'FALSE',
+  POP:                'POP',
+  STEP:               'STEP',                // statement span constant
+
+  // Variables.
+  GET_LOCAL:          'GET_LOCAL',           // slot
+  SET_LOCAL:          'SET_LOCAL',           // slot
+  GET_UPVALUE:        'GET_UPVALUE',         // upvalue index
+  SET_UPVALUE:        'SET_UPVALUE',         // upvalue index
+  GET_GLOBAL:         'GET_GLOBAL',          // name constant
+  SET_GLOBAL:         'SET_GLOBAL',          // name constant
+  DEFINE_GLOBAL:      'DEFINE_GLOBAL',       // name constant
+  CLOSE_UPVALUE:      'CLOSE_UPVALUE',
+
+  // Properties, indexing and collections.
+  GET_PROPERTY:       'GET_PROPERTY',        // name constant
+  SET_PROPERTY:       'SET_PROPERTY',        // name constant
+  GET_SUPER:          'GET_SUPER',           // name constant
+  GET_INDEX:          'GET_INDEX',
+  SET_INDEX:          'SET_INDEX',
+  LIST:               'LIST',                // element count
+  MAP:                'MAP',                 // entry count
+
+  // Checks run before the value being stored is evaluated, like the Interpreter does.
+  CHECK_FIELD_TARGET: 'CHECK_FIELD_TARGET',  // name constant
+  CHECK_INDEX_TARGET: 'CHECK_INDEX_TARGET',
+  CHECK_MAP_KEY:      'CHECK_MAP_KEY',
+
+  // Operators. The token recorded for the instruction is the operator.
+  UNARY:              'UNARY',
+  BINARY:             'BINARY',
+  ADD:                'ADD',
+  SUBTRACT:           'SUBTRACT',
+  MULTIPLY:           'MULTIPLY',
+  LESS:               'LESS',
+  GREATER:            'GREATER',
+  EQUAL:              'EQUAL',
+
+  // Control flow.
+  JUMP:               'JUMP',                // target offset
+  JUMP_IF_FALSE:      'JUMP_IF_FALSE',       // target offset
+  CALL:               'CALL',                // argument count
+  CLOSURE:            'CLOSURE',             // function constant, then (isLocal, index) per upvalue
+  RETURN:             'RETURN',
+  PRINT:              'PRINT',
+
+  // Classes.
+  CLASS:              'CLASS',               // name constant
+  INHERIT:            'INHERIT',
+  METHOD:             'METHOD',              // name constant
+
+  // Exceptions.
+  PUSH_HANDLER:       'PUSH_HANDLER',        // handler offset
+  POP_HANDLER:        'POP_HANDLER',
+  CATCH:              'CATCH',
+  THROW:              'THROW',
+  RETHROW:            'RETHROW',
+
+  // Modules.
+  IMPORT:             'IMPORT',              // path constant
+  IMPORT_ALL:         'IMPORT_ALL'
+});
+
+module.exports = OpCode;
@@ -0,0 +1,39 @@
+/**
+ * A variable captured by a closure. While the variable's function is running
+ * the upvalue points at its stack slot; once the slot goes away the value
+ * is moved into the upvalue itself, so closures keep sharing it.
+ */
+class Upvalue {
+  /**
+   * @param {any[]} stack The virtual machine's value stack.
+   * @param {number} index The slot of the captured variable.
+   */
+  constructor(stack, index) {
+    this.stack = stack;
+    this.index = index;
+    this.closed = false;
+    this.value = null;
+  }
+
+  get() {
+    return this.closed ? this.value : this.stack[this.index];
+  }
+
+  set(value) {
+    if (this.closed) {
+      this.value = value;
+    } else {
+      this.stack[this.index] = value;
+    }
+  }
+
+  /**
+   * Copies the variable out of the stack, right before its slot is discarded.
+   */
+  close() {
+    this.value = this.stack[this.index];
+    this.closed = true;
+  }
+}
+
+module.exports = Upvalue;
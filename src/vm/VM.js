@@ -0,0 +1,570 @@
+const RuntimeError = require('../RuntimeError');
+const BudgetError = require('../BudgetError');
+const ErrorCode = require('../ErrorCode');
+const ErrorObject = require('../ErrorObject');
+const Thrown = require('../Thrown');
+const Class = require('../Class');
+const Instance = require('../Instance');
+const OpCode = require('./OpCode');
+const Compiler = require('./Compiler');
+const Closure = require('./Closure');
+const BoundMethod = require('./BoundMethod');
+const Upvalue = require('./Upvalue');
+
+/**
+ * A function call in progress.
+ */
+class CallFrame {
+  /**
+   * @param {Closure} closure The function being run.
+   * @param {number} base The stack slot holding the callee; arguments and locals follow it.
+   * @param {Token | null} callToken The closing parenthesis of the call, for tracebacks.
+   * @param {number} weight The stack weight of this call and the ones it is nested in,
+   *   see Interpreter.checkCallDepth.
+   */
+  constructor(closure, base, callToken, weight) {
+    this.closure = closure;
+    this.chunk = closure.function.chunk;
+    this.ip = 0;
+    this.base = base;
+    this.callToken = callToken;
+    this.weight = weight;
+  }
+}
+
+/**
+ * A stack-based virtual machine that runs the bytecode produced by the Compiler.
+ * It is an alternative backend to the tree-walking Interpreter with the same
+ * observable behavior: it shares the interpreter's globals, standard library,
+ * options and value representations, and reuses its operator and property
+ * logic so errors read exactly the same.
+ */
+class VM {
+  /**
+   * @param {Interpreter} interpreter Provides the globals, natives, output and limits.
+   */
+  constructor(interpreter) {
+    this.interpreter = interpreter;
+    /**
+     * @type {any[]}
+     */
+    this.stack = [];
+    /**
+     * @type {CallFrame[]}
+     */
+    this.frames = [];
+    /**
+     * The active try blocks, innermost last.
+     * @type {{ frameIndex: number, stackHeight: number, target: number }[]}
+     */
+    this.handlers = [];
+    /**
+     * Upvalues still pointing into the stack.
+     * @type {Upvalue[]}
+     */
+    this.openUpvalues = [];
+    /**
+     * How many of the frames run the top level of a script or module rather than a function.
+     */
+    this.scripts = 0;
+  }
+
+  /**
+   * Compiles and runs a resolved program, reporting a runtime error like the
+   * Interpreter does.
+   * @param {Stmt[]} statements
+   */
+  interpret(statements) {
+    const script = new Compiler().compile(statements);
+    this.interpreter.beginRun();
+    try {
+      this.runScript(script, this.interpreter.globals);
+    } catch (error) {
+      this.reset();
+      if (error instanceof RuntimeError) {
+        this.interpreter.runtimeError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Runs the top level of a script or module until it returns.
+   * @private
+   * @param {CompiledFunction} script
+   * @param {Environment} globals The global environment the script runs in.
+   */
+  runScript(script, globals) {
+    const closure = new Closure(script, [], globals);
+    this.stack.push(closure);
+    const weight = this.frames.length === 0 ? 0 : this.frames[this.frames.length - 1].weight;
+    this.frames.push(new CallFrame(closure, this.stack.length - 1, null, weight));
+    this.scripts++;
+    try {
+      this.run(this.frames.length - 1);
+    } finally {
+      this.scripts--;
+    }
+  }
+
+  /**
+   * Executes instructions until the frame at `baseFrame` returns, passing
+   * errors to the innermost try block that belongs to this run.
+   * @private
+   * @param {number} baseFrame
+   * @returns {any} The value returned by the base frame.
+   */
+  run(baseFrame) {
+    while (true) {
+      try {
+        return this.dispatch(baseFrame);
+      } catch (error) {
+        if (!this.handleError(error, baseFrame)) throw error;
+      }
+    }
+  }
+
+  /**
+   * The instruction loop.
+   * @private
+   * @param {number} baseFrame
+   * @returns {any}
+   */
+  dispatch(baseFrame) {
+    const interpreter = this.interpreter;
+    const stack = this.stack;
+    let frame = this.frames[this.frames.length - 1];
+
+    while (true) {
+      const chunk = frame.chunk;
+      const code = chunk.code;
+      const offset = frame.ip;
+      const token = chunk.tokens[offset];
+      frame.ip++;
+
+      switch (code[offset]) {
+        case OpCode.CONSTANT:
+          stack.push(chunk.constants[code[frame.ip++]]);
+          break;
+        case OpCode.NIL: stack.push(null); break;
+        case OpCode.TRUE: stack.push(true); break;
+        case OpCode.FALSE: stack.push(false); break;
+        case OpCode.POP: stack.pop(); break;
+        case OpCode.STEP:
+          interpreter.step(chunk.constants[code[frame.ip++]]);
+          break;
+
+        case OpCode.GET_LOCAL:
+          stack.push(stack[frame.base + code[frame.ip++]]);
+          break;
+        case OpCode.SET_LOCAL:
+          stack[frame.base + code[frame.ip++]] = stack[stack.length - 1];
+          break;
+        case OpCode.GET_UPVALUE:
+          stack.push(frame.closure.upvalues[code[frame.ip++]].get());
+          break;
+        case OpCode.SET_UPVALUE:
+          frame.closure.upvalues[code[frame.ip++]].set(stack[stack.length - 1]);
+          break;
+        case OpCode.GET_GLOBAL:
+          frame.ip++;
+          stack.push(frame.closure.globals.get(token, interpreter.localNames));
+          break;
+        case OpCode.SET_GLOBAL:
+          frame.ip++;
+          frame.closure.globals.assign(token, stack[stack.length - 1], interpreter.localNames);
+          break;
+        case OpCode.DEFINE_GLOBAL:
+          frame.closure.globals.define(chunk.constants[code[frame.ip++]], stack.pop());
+          break;
+        case OpCode.CLOSE_UPVALUE:
+          this.closeUpvalues(stack.length - 1);
+          stack.pop();
+          break;
+
+        case OpCode.GET_PROPERTY: {
+          frame.ip++;
+          const object = stack.pop();
+          stack.push(interpreter.getProperty(object, token));
+          break;
+        }
+        case OpCode.SET_PROPERTY: {
+          frame.ip++;
+          const value = stack.pop();
+          const object = stack.pop();
+          object.set(token, value);
+          stack.push(value);
+          break;
+        }
+        case OpCode.GET_SUPER: {
+          const name = chunk.constants[code[frame.ip++]];
+          const superclass = stack.pop();
+          const receiver = stack.pop();
+          const method = superclass.findMethod(name);
+          if (method === null) {
+            throw new RuntimeError(token, `Undefined property '${name}'.`, ErrorCode.UNDEFINED_PROPERTY);
+          }
+          stack.push(method.bind(receiver));
+          break;
+        }
+        case OpCode.GET_INDEX: {
+          const index = stack.pop();
+          const object = stack.pop();
+          stack.push(interpreter.getIndex(token, object, index));
+          break;
+        }
+        case OpCode.SET_INDEX: {
+          const value = stack.pop();
+          const index = stack.pop();
+          const object = stack.pop();
+          if (Array.isArray(object)) {
+            object[index] = value;
+          } else {
+            object.set(index, value);
+          }
+          stack.push(value);
+          break;
+        }
+        case OpCode.LIST: {
+          const count = code[frame.ip++];
+          const elements = stack.splice(stack.length - count, count);
+          stack.push(interpreter.checkAllocation(token, elements));
+          break;
+        }
+        case OpCode.MAP: {
+          const count = code[frame.ip++];
+          const entries = stack.splice(stack.length - count * 2, count * 2);
+          const map = new Map();
+          for (let i = 0; i < entries.length; i += 2) {
+            map.set(entries[i], entries[i + 1]);
+          }
+          stack.push(map);
+          break;
+        }
+        case OpCode.CHECK_FIELD_TARGET:
+          frame.ip++;
+          interpreter.checkFieldTarget(token, stack[stack.length - 1]);
+          break;
+        case OpCode.CHECK_INDEX_TARGET:
+          interpreter.checkIndexTarget(token, stack[stack.length - 2], stack[stack.length - 1]);
+          break;
+        case OpCode.CHECK_MAP_KEY:
+          interpreter.checkMapKey(token, stack[stack.length - 1]);
+          break;
+
+        case OpCode.UNARY:
+          stack.push(interpreter.applyUnary(token, stack.pop()));
+          break;
+        case OpCode.BINARY: {
+          const right = stack.pop();
+          const left = stack.pop();
+          stack.push(interpreter.applyBinary(token, left, right));
+          break;
+        }
+        case OpCode.ADD: {
+          const right = stack.pop();
+          const left = stack.pop();
+          if (typeof left === 'number' && typeof right === 'number') {
+            stack.push(left + right);
+          } else {
+            stack.push(interpreter.applyBinary(token, left, right));
+          }
+          break;
+        }
+        case OpCode.SUBTRACT: {
+          const right = stack.pop();
+          const left = stack.pop();
+          if (typeof left === 'number' && typeof right === 'number') {
+            stack.push(left - right);
+          } else {
+            stack.push(interpreter.applyBinary(token, left, right));
+          }
+          break;
+        }
+        case OpCode.MULTIPLY: {
+          const right = stack.pop();
+          const left = stack.pop();
+          if (typeof left === 'number' && typeof right === 'number') {
+            stack.push(left * right);
+          } else {
+            stack.push(interpreter.applyBinary(token, left, right));
+          }
+          break;
+        }
+        case OpCode.LESS: {
+          const right = stack.pop();
+          const left = stack.pop();
+          if (typeof left === 'number' && typeof right === 'number') {
+            stack.push(left < right);
+          } else {
+            stack.push(interpreter.applyBinary(token, left, right));
+          }
+          break;
+        }
+        case OpCode.GREATER: {
+          const right = stack.pop();
+          const left = stack.pop();
+          if (typeof left === 'number' && typeof right === 'number') {
+            stack.push(left > right);
+          } else {
+            stack.push(interpreter.applyBinary(token, left, right));
+          }
+          break;
+        }
+        case OpCode.EQUAL: {
+          const right = stack.pop();
+          const left = stack.pop();
+          stack.push(interpreter.isEqual(left, right));
+          break;
+        }
+
+        case OpCode.JUMP:
+          frame.ip = code[frame.ip];
+          break;
+        case OpCode.JUMP_IF_FALSE:
+          if (interpreter.isTruthy(stack[stack.length - 1])) {
+            frame.ip++;
+          } else {
+            frame.ip = code[frame.ip];
+          }
+          break;
+        case OpCode.CALL: {
+          const argumentCount = code[frame.ip++];
+          this.callValue(stack[stack.length - 1 - argumentCount], argumentCount, token);
+          frame = this.frames[this.frames.length - 1];
+          break;
+        }
+        case OpCode.CLOSURE: {
+          const func = chunk.constants[code[frame.ip++]];
+          const upvalues = [];
+          for (let i = 0; i < func.upvalueCount; i++) {
+            const isLocal = code[frame.ip++] === 1;
+            const index = code[frame.ip++];
+            upvalues.push(isLocal ? this.captureUpvalue(frame.base + index) : frame.closure.upvalues[index]);
+          }
+          stack.push(new Closure(func, upvalues, frame.closure.globals));
+          break;
+        }
+        case OpCode.RETURN: {
+          const result = stack.pop();
+          this.closeUpvalues(frame.base);
+          const frameIndex = this.frames.length - 1;
+          while (this.handlers.length > 0 && this.handlers[this.handlers.length - 1].frameIndex >= frameIndex) {
+            this.handlers.pop();
+          }
+          stack.length = frame.base;
+          this.frames.pop();
+
+          if (this.frames.length === baseFrame) return result;
+          stack.push(result);
+          frame = this.frames[this.frames.length - 1];
+          break;
+        }
+        case OpCode.PRINT:
+          interpreter.stdout.write(interpreter.stringify(stack.pop()) + "\n");
+          break;
+
+        case OpCode.CLASS:
+          stack.push(new Class(chunk.constants[code[frame.ip++]], null, new Map()));
+          break;
+        case OpCode.INHERIT: {
+          const klass = stack.pop();
+          const superclass = stack[stack.length - 1];
+          if (!(superclass instanceof Class)) {
+            throw new RuntimeError(token, "Superclass must be a class.", ErrorCode.TYPE_MISMATCH);
+          }
+          klass.superclass = superclass;
+          break;
+        }
+        case OpCode.METHOD: {
+          const method = stack.pop();
+          stack[stack.length - 1].methods.set(chunk.constants[code[frame.ip++]], method);
+          break;
+        }
+
+        case OpCode.PUSH_HANDLER:
+          this.handlers.push({
+            frameIndex: this.frames.length - 1,
+            stackHeight: stack.length,
+            target: code[frame.ip++]
+          });
+          break;
+        case OpCode.POP_HANDLER:
+          this.handlers.pop();
+          break;
+        case OpCode.CATCH: {
+          const error = stack.pop();
+          stack.push(error instanceof Thrown ? error.value : new ErrorObject(error));
+          break;
+        }
+        case OpCode.THROW: {
+          const value = stack.pop();
+          // Rethrowing a caught interpreter error keeps its original location and message.
+          if (value instanceof ErrorObject) throw value.error;
+          throw new Thrown(token, value, interpreter.stringify(value));
+        }
+        case OpCode.RETHROW:
+          throw stack.pop();
+
+        case OpCode.IMPORT: {
+          const request = chunk.constants[code[frame.ip++]];
+          stack.push(interpreter.importModule(token, request, (statements, environment) => {
+            this.runScript(new Compiler().compile(statements), environment);
+          }));
+          break;
+        }
+        case OpCode.IMPORT_ALL: {
+          const module = stack.pop();
+          for (const name of module.exports) {
+            frame.closure.globals.define(name, module.environment.values.get(name));
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown opcode '${code[offset]}'.`);
+      }
+    }
+  }
+
+  /**
+   * Calls the value below the arguments on top of the stack. Closures get a
+   * new frame; natives run right away and leave their result on the stack.
+   * @private
+   * @param {any} callee
+   * @param {number} argumentCount
+   * @param {Token} paren The closing parenthesis of the call.
+   */
+  callValue(callee, argumentCount, paren) {
+    const interpreter = this.interpreter;
+    const stack = this.stack;
+    interpreter.checkCall(paren, callee, argumentCount);
+
+    if (callee instanceof Closure) {
+      this.callClosure(callee, argumentCount, paren);
+      return;
+    }
+
+    if (callee instanceof BoundMethod) {
+      stack[stack.length - 1 - argumentCount] = callee.receiver;
+      this.callClosure(callee.method, argumentCount, paren);
+      return;
+    }
+
+    if (callee instanceof Class) {
+      stack[stack.length - 1 - argumentCount] = new Instance(callee);
+      const initializer = callee.findMethod("init");
+      if (initializer !== null) {
+        this.callClosure(initializer, argumentCount, paren);
+      }
+      return;
+    }
+
+    const args = stack.splice(stack.length - argumentCount, argumentCount);
+    stack.pop();
+    stack.push(interpreter.checkAllocation(paren, callee.call(interpreter, args, paren)));
+  }
+
+  /**
+   * @private
+   * @param {Closure} closure
+   * @param {number} argumentCount
+   * @param {Token} paren
+   */
+  callClosure(closure, argumentCount, paren) {
+    const caller = this.frames[this.frames.length - 1];
+    const weight = this.interpreter.checkCallDepth(paren, this.frames.length - this.scripts, caller.weight);
+    this.frames.push(new CallFrame(closure, this.stack.length - 1 - argumentCount, paren, weight));
+  }
+
+  /**
+   * Sends an error to the innermost try block of this run, if there is one.
+   * Budget errors are never caught.
+   * @private
+   * @param {any} error
+   * @param {number} baseFrame
+   * @returns {boolean} Whether a handler took the error.
+   */
+  handleError(error, baseFrame) {
+    if (!(error instanceof RuntimeError)) return false;
+
+    let handler = this.handlers[this.handlers.length - 1];
+    if (error instanceof BudgetError || handler === undefined || handler.frameIndex < baseFrame) {
+      handler = null;
+    }
+
+    // Like the Interpreter, record the call stack once the error leaves a function call.
+    const leavesCall = this.frames.slice(handler === null ? 0 : handler.frameIndex + 1)
+      .some((frame) => frame.callToken !== null);
+    if (error.callStack === null && leavesCall) {
+      error.callStack = this.callStack();
+    }
+    if (handler === null) return false;
+
+    this.handlers.pop();
+    this.frames.length = handler.frameIndex + 1;
+    this.closeUpvalues(handler.stackHeight);
+    this.stack.length = handler.stackHeight;
+    this.stack.push(error);
+    this.frames[handler.frameIndex].ip = handler.target;
+    return true;
+  }
+
+  /**
+   * Describes the function calls in progress, innermost first, like the
+   * Interpreter's call stack.
+   * @private
+   * @returns {{ name: string, token: Token }[]}
+   */
+  callStack() {
+    const calls = [];
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      const frame = this.frames[i];
+      if (frame.callToken === null) continue;
+      calls.push({ name: frame.closure.function.name, token: frame.callToken });
+    }
+    return calls;
+  }
+
+  /**
+   * @private
+   * @param {number} index The stack slot being captured.
+   * @returns {Upvalue}
+   */
+  captureUpvalue(index) {
+    for (const upvalue of this.openUpvalues) {
+      if (upvalue.index === index) return upvalue;
+    }
+    const upvalue = new Upvalue(this.stack, index);
+    this.openUpvalues.push(upvalue);
+    return upvalue;
+  }
+
+  /**
+   * Moves every captured variable at or above a stack slot out of the stack.
+   * @private
+   * @param {number} index
+   */
+  closeUpvalues(index) {
+    if (this.openUpvalues.length === 0) return;
+    this.openUpvalues = this.openUpvalues.filter((upvalue) => {
+      if (upvalue.index < index) return true;
+      upvalue.close();
+      return false;
+    });
+  }
+
+  /**
+   * Clears the machine after an error stopped the program.
+   * @private
+   */
+  reset() {
+    this.stack.length = 0;
+    this.frames.length = 0;
+    this.handlers.length = 0;
+    this.openUpvalues = [];
+  }
+}
+
+module.exports = VM;
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Checks the syntax tree dumps: the S-expressions of AstPrinter and the JSON
+ * of AstSerializer for every kind of expression and statement, for trees with
+ * statements that failed to parse, and as printed by `--dump-ast` and
+ * `--dump-ast=json`.
+ *
+ * Usage: node test/ast/run.js
+ */
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+
+const { createOxente } = require('../../src/index');
+const AstPrinter = require('../../src/AstPrinter');
+const AstSerializer = require('../../src/AstSerializer');
+const Expr = require('../../src/Expr');
+const Stmt = require('../../src/Stmt');
+
+const OXENTE = path.join(__dirname, "..", "..", "src", "Oxente.js");
+const PARTIAL = path.join(__dirname, "partial.oxe");
+
+/**
+ * Each kind of node and how AstPrinter prints it.
+ */
+const CASES = [
+  { name: "binary", source: "print 1 + 2 * 3;", expected: "(print (+ 1 (* 2 3)))" },
+  { name: "grouping", source: "print (1 + 2) * 3;", expected: "(print (* (group (+ 1 2)) 3))" },
+  {
+    name: "literals",
+    source: 'print nil; print true; print "1"; print 1.50;',
+    expected: '(print nil)\n(print true)\n(print "1")\n(print 1.5)'
+  },
+  { name: "unary", source: "print -x + !y;", expected: "(print (+ (- x) (! y)))" },
+  { name: "ternary", source: "print a ? b : c;", expected: "(print (?: a b c))" },
+  { name: "variables and assignment", source: "a = b = 1;", expected: "(; (= a (= b 1)))" },
+  { name: "call", source: "f(1, g());", expected: "(; (call f 1 (call g)))" },
+  { name: "get", source: "print a.b.c;", expected: "(print (. (. a b) c))" },
+  { name: "set", source: "a.b = 1;", expected: "(; (set a b 1))" },
+  {
+    name: "lambda",
+    source: "var f = fun (a, b) { return a; };",
+    expected: "(var f = (fun (a b) (return a)))"
+  },
+  { name: "arrow function", source: "var g = (x) => x * 2;", expected: "(var g = (fun (x) (return (* x 2))))" },
+  { name: "list", source: "print [1, [2]];", expected: "(print (list 1 (list 2)))" },
+  { name: "map", source: 'print {"a": 1, 2: []};', expected: '(print (map (: "a" 1) (: 2 (list))))' },
+  { name: "index", source: "print a[0];", expected: "(print (index a 0))" },
+  { name: "index assignment", source: "a[0] = 1;", expected: "(; (set-index a 0 1))" },
+  { name: "var", source: "var a; var b = 1;", expected: "(var a)\n(var b = 1)" },
+  { name: "block", source: "{ var a = 1; }", expected: "(block (var a = 1))" },
+  { name: "if", source: "if (a) print 1;", expected: "(if a (print 1))" },
+  { name: "if-else", source: "if (a) print 1; else print 2;", expected: "(if-else a (print 1) (print 2))" },
+  { name: "while", source: "while (a) a = a - 1;", expected: "(while a (; (= a (- a 1))))" },
+  {
+    name: "for",
+    source: "for (var i = 0; i < 3; i = i + 1) print i;",
+    expected: "(for (var i = 0) (< i 3) (= i (+ i 1)) (print i))"
+  },
+  {
+    name: "for without clauses, break and continue",
+    source: "for (;;) { break; continue; }",
+    expected: "(for _ _ _ (block (break) (continue)))"
+  },
+  {
+    name: "function and return",
+    source: "fun f(a, b) { return; return a + b; }",
+    expected: "(fun f (a b) (return) (return (+ a b)))"
+  },
+  {
+    name: "class, this and super",
+    source: "class A < B { init(x) { this.x = x; } m() { return super.m(); } }",
+    expected: "(class A < B (fun init (x) (; (set this x x))) (fun m () (return (call (super m)))))"
+  },
+  {
+    name: "import",
+    source: 'import "lib.oxe"; import "lib.oxe" as lib;',
+    expected: '(import "lib.oxe")\n(import "lib.oxe" as lib)'
+  },
+  {
+    name: "export",
+    source: "export fun f() {} export var v = 1;",
+    expected: "(export (fun f ()))\n(export (var v = 1))"
+  },
+  {
+    name: "try and throw",
+    source: 'try { throw "x"; } catch (e) { print e; } finally { print 1; }',
+    expected: '(try (block (throw "x")) (catch e (print e)) (finally (print 1)))'
+  },
+  { name: "try without catch", source: "try {} finally {}", expected: "(try (block) (finally))" }
+];
+
+/**
+ * @param {string} source
+ * @returns {Stmt[]} The statements parsed from the source, errors or not.
+ */
+function parse(source) {
+  return createOxente({ stderr: { write: () => {} } }).inspect(source).statements;
+}
+
+/**
+ * Calls a function on every serialized node in a tree.
+ * @param {any} value A serialized node, or any value inside one.
+ * @param {function(object): void} visit
+ */
+function walk(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach((element) => walk(element, visit));
+  } else if (value !== null && typeof value === 'object') {
+    if (typeof value.type === 'string') visit(value);
+    Object.values(value).forEach((element) => walk(element, visit));
+  }
+}
+
+/**
+ * Finds the 1-based line and column of an offset.
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+function position(source, offset) {
+  const lines = source.slice(0, offset).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Runs the command line on the partial fixture.
+ * @param {string} flag
+ * @returns {{ status: number, stdout: string }}
+ */
+function dump(flag) {
+  const result = spawnSync(process.execPath, [OXENTE, flag, PARTIAL], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, stdout: result.stdout };
+}
+
+const ALL_KINDS = CASES.map(({ source }) => source).join("\n");
+
+const CHECKS = [
+  ...CASES.map(({ name, source, expected }) => ({
+    name: `prints ${name}`,
+    check: () => assert.strictEqual(new AstPrinter().printProgram(parse(source)), expected)
+  })),
+  {
+    name: "serializes every kind of node",
+    check: () => {
+      const types = new Set();
+      walk(new AstSerializer().serializeProgram(parse(ALL_KINDS)), (node) => types.add(node.type));
+      const kinds = [...Object.keys(Expr), ...Object.keys(Stmt)].filter((kind) => kind !== "Visitor");
+      assert.deepStrictEqual([...types].sort(), ["Program", ...kinds].sort());
+    }
+  },
+  {
+    name: "serializes the spans and tokens of every node",
+    check: () => {
+      walk(new AstSerializer().serializeProgram(parse(ALL_KINDS)), (node) => {
+        if (node.type === "Program") return;
+        const { start, end, line, column, endLine, endColumn } = node.span;
+        assert.ok(start < end, `${node.type} should span some source`);
+        assert.deepStrictEqual(position(ALL_KINDS, start), { line, column }, `${node.type} start`);
+        assert.deepStrictEqual(position(ALL_KINDS, end), { line: endLine, column: endColumn }, `${node.type} end`);
+
+        for (const value of Object.values(node)) {
+          const tokens = Array.isArray(value) ? value : [value];
+          for (const token of tokens) {
+            if (token === null || typeof token !== 'object' || !("lexeme" in token)) continue;
+            const text = ALL_KINDS.split("\n")[token.line - 1].slice(token.column - 1);
+            assert.ok(text.startsWith(token.lexeme), `${node.type} token '${token.lexeme}'`);
+          }
+        }
+      });
+    }
+  },
+  {
+    name: "serializes a statement's fields",
+    check: () => {
+      const span = (start, end) => ({ start, end, line: 1, column: start + 1, endLine: 1, endColumn: end + 1 });
+      assert.deepStrictEqual(new AstSerializer().serializeProgram(parse("var a = -1;")), {
+        type: "Program",
+        body: [{
+          type: "Var",
+          span: span(0, 11),
+          name: { lexeme: "a", line: 1, column: 5 },
+          initializer: {
+            type: "Unary",
+            span: span(8, 10),
+            operator: { lexeme: "-", line: 1, column: 9 },
+            right: { type: "Literal", span: span(9, 10), value: 1 }
+          }
+        }]
+      });
+    }
+  },
+  {
+    name: "prints statements that failed to parse as null",
+    check: () => {
+      const statements = parse("{ print 1 +; print 2; }\nfun f() { var = 1; return 2; }");
+      assert.strictEqual(new AstPrinter().printProgram(statements), "(block null (print 2))\n(fun f () null (return 2))");
+    }
+  },
+  {
+    name: "serializes statements that failed to parse as null",
+    check: () => {
+      const statements = parse("{ print 1 +; print 2; }\nfun f() { var = 1; return 2; }");
+      const [block, fun] = new AstSerializer().serializeProgram(statements).body;
+      assert.deepStrictEqual(block.statements.map((stmt) => stmt?.type ?? null), [null, "Print"]);
+      assert.deepStrictEqual(fun.body.map((stmt) => stmt?.type ?? null), [null, "Return"]);
+    }
+  },
+  {
+    name: "--dump-ast prints the partial tree of a script with syntax errors",
+    check: () => {
+      assert.deepStrictEqual(dump("--dump-ast"), {
+        status: 65,
+        stdout: "(block null (print 2))\n(fun f () null (return 2))\n(print (call f))\n"
+      });
+    }
+  },
+  {
+    name: "--dump-ast=json writes the partial tree of a script with syntax errors",
+    check: () => {
+      const { status, stdout } = dump("--dump-ast=json");
+      assert.strictEqual(status, 65);
+      const source = fs.readFileSync(PARTIAL, 'utf8');
+      assert.deepStrictEqual(JSON.parse(stdout), new AstSerializer().serializeProgram(parse(source)));
+      assert.deepStrictEqual(JSON.parse(stdout).body.map((stmt) => stmt.type), ["Block", "Function", "Print"]);
+    }
+  }
+];
+
+function main() {
+  let failures = 0;
+  for (const { name, check } of CHECKS) {
+    try {
+      check();
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(`    ${error.message.split("\n").join("\n    ")}`);
+    }
+  }
+
+  console.log(`\n${CHECKS.length - failures} of ${CHECKS.length} syntax tree checks passed.`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
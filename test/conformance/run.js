@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Runs every script in this directory on both backends, the tree-walking
+ * Interpreter and the bytecode VM, with and without the Optimizer, and checks
+ * that they print the same output and report the same diagnostics as the
+ * transcript recorded for the script in `expected/`.
+ *
+ * A script can pass options to the engines in a comment on its first line:
+ *
+ *   // options: {"maxCallDepth": 50}
+ *
+ * Scripts may read files and import modules from this directory.
+ *
+ * Optimized runs are checked against `expected/<script>.optimized.txt` when
+ * it exists, for the few scripts whose behavior the Optimizer is allowed to
+ * change, e.g. how many steps they take.
+ *
+ * Usage: node test/conformance/run.js [--update] [script.oxe...]
+ *
+ * With `--update` the transcripts are rewritten from the Interpreter's runs
+ * instead of being checked. Review the changes before committing them.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { createOxente } = require('../../src/index');
+
+const OPTIONS_PREFIX = "// options:";
+const EXPECTED_DIRECTORY = path.join(__dirname, "expected");
+
+/**
+ * Runs a script and describes everything it did.
+ * @param {string} file The script's path.
+ * @param {"interpreter" | "vm"} backend
+ * @param {boolean} optimize Whether the Optimizer runs first.
+ * @returns {string} The output, diagnostics and outcome of the run.
+ */
+function runScript(file, backend, optimize) {
+  const source = fs.readFileSync(file, 'utf8');
+  const firstLine = source.split("\n", 1)[0];
+  const options = firstLine.startsWith(OPTIONS_PREFIX)
+    ? JSON.parse(firstLine.slice(OPTIONS_PREFIX.length))
+    : {};
+
+  let diagnostics = "";
+  const oxente = createOxente({
+    randomSeed: 1,
+    readLine: () => null,
+    fileSystem: { root: __dirname },
+    ...options,
+    backend,
+    optimize,
+    stderr: { write: (text) => { diagnostics += text; } }
+  });
+  const result = oxente.run(source, path.relative(__dirname, file));
+
+  let outcome = "ok";
+  if (result.runtimeError !== null) {
+    outcome = `runtime error ${result.runtimeError.code}`;
+  } else if (!result.ok) {
+    outcome = "compile error";
+  }
+  return `${result.output}--- diagnostics\n${diagnostics}--- ${outcome}\n`;
+}
+
+/**
+ * @param {string} file A script's path.
+ * @param {boolean} optimized Whether the transcript is for optimized runs.
+ * @returns {string} Where the script's expected transcript is kept.
+ */
+function expectedPath(file, optimized) {
+  const suffix = optimized ? ".optimized.txt" : ".txt";
+  return path.join(EXPECTED_DIRECTORY, path.basename(file, ".oxe") + suffix);
+}
+
+/**
+ * Reads the transcript a run is checked against.
+ * @param {string} file A script's path.
+ * @param {boolean} optimized Whether the run is optimized.
+ * @returns {string | null} The transcript, or null if none was recorded.
+ */
+function readExpected(file, optimized) {
+  for (const candidate of optimized ? [true, false] : [false]) {
+    if (fs.existsSync(expectedPath(file, candidate))) {
+      return fs.readFileSync(expectedPath(file, candidate), 'utf8');
+    }
+  }
+  return null;
+}
+
+/**
+ * Records the transcripts of a script, keeping a separate one for optimized
+ * runs only when they behave differently.
+ * @param {string} file A script's path.
+ * @param {string} plain
+ * @param {string} optimized
+ */
+function writeExpected(file, plain, optimized) {
+  fs.mkdirSync(EXPECTED_DIRECTORY, { recursive: true });
+  fs.writeFileSync(expectedPath(file, false), plain);
+  console.log(`wrote ${path.relative(__dirname, expectedPath(file, false))}`);
+  if (optimized !== plain) {
+    fs.writeFileSync(expectedPath(file, true), optimized);
+    console.log(`wrote ${path.relative(__dirname, expectedPath(file, true))}`);
+  } else {
+    fs.rmSync(expectedPath(file, true), { force: true });
+  }
+}
+
+/**
+ * Describes where a transcript starts to differ from the expected one.
+ * @param {string} expected
+ * @param {string} actual
+ * @param {string} label What produced the actual transcript.
+ * @returns {string}
+ */
+function describeDifference(expected, actual, label) {
+  const expectedLines = expected.split("\n");
+  const actualLines = actual.split("\n");
+  let line = 0;
+  while (expectedLines[line] === actualLines[line]) line++;
+  return [
+    `    first difference on line ${line + 1}:`,
+    `      ${"expected:".padEnd(14)}${JSON.stringify(expectedLines[line] ?? "")}`,
+    `      ${(label + ":").padEnd(14)}${JSON.stringify(actualLines[line] ?? "")}`
+  ].join("\n");
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes("--update");
+  let files = args.filter((arg) => arg !== "--update").map((file) => path.resolve(file));
+  if (files.length === 0) {
+    files = fs.readdirSync(__dirname)
+      .filter((name) => name.endsWith(".oxe"))
+      .sort()
+      .map((name) => path.join(__dirname, name));
+  }
+  // Module names in diagnostics are relative to the working directory.
+  process.chdir(__dirname);
+
+  let failures = 0;
+  for (const file of files) {
+    const name = path.basename(file);
+    const runs = [
+      { label: "interpreter", backend: "interpreter", optimize: false },
+      { label: "vm", backend: "vm", optimize: false },
+      { label: "optimized", backend: "interpreter", optimize: true },
+      { label: "vm optimized", backend: "vm", optimize: true }
+    ];
+    for (const run of runs) {
+      run.transcript = runScript(file, run.backend, run.optimize);
+    }
+
+    if (update) {
+      writeExpected(file, runs[0].transcript, runs[2].transcript);
+    }
+
+    const expected = { false: readExpected(file, false), true: readExpected(file, true) };
+    if (expected.false === null) {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(`    no expected transcript; run with --update to record one`);
+      continue;
+    }
+
+    const mismatch = runs.find((run) => run.transcript !== expected[run.optimize]);
+    if (mismatch === undefined) {
+      if (!update) console.log(`ok   ${name}`);
+    } else {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(describeDifference(expected[mismatch.optimize], mismatch.transcript, mismatch.label));
+    }
+  }
+
+  if (update) {
+    console.log(`\nRecorded ${files.length} transcripts.`);
+  } else {
+    console.log(`\n${files.length - failures} of ${files.length} scripts match their transcripts on both backends, with and without optimizing.`);
+  }
+  if (failures > 0) process.exit(1);
+}
+
+main();
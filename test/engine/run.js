@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Checks the embedding API: how host values and functions given to an engine
+ * behave in scripts, on both backends.
+ *
+ * Usage: node test/engine/run.js
+ */
+const assert = require('assert');
+
+const { createOxente } = require('../../src/index');
+
+const BACKENDS = ["interpreter", "vm"];
+
+/**
+ * Runs a script on a new engine.
+ * @param {string} source
+ * @param {object} options Engine options.
+ * @returns {{ output: string, error: string | null }} The output, and the message of
+ *   the runtime error the run ended with, if any.
+ */
+function run(source, options) {
+  const result = createOxente({ ...options, stderr: { write: () => {} } }).run(source);
+  return { output: result.output, error: result.runtimeError?.message ?? null };
+}
+
+const CHECKS = [
+  {
+    name: "host functions that throw strings fail the run",
+    check: (backend) => {
+      const result = run("bad();", { backend, globals: { bad: () => { throw "oops"; } } });
+      assert.deepStrictEqual(result, { output: "", error: "oops" });
+    }
+  },
+  {
+    name: "anything a host function throws can be caught",
+    check: (backend) => {
+      const globals = {
+        text: () => { throw "oops"; },
+        object: () => { throw { code: 1 }; },
+        error: () => { throw new TypeError("bad type"); }
+      };
+      const source = `
+        try { text(); } catch (e) { print e.message; }
+        try { object(); } catch (e) { print e.message; }
+        try { error(); } catch (e) { print e.message; }
+      `;
+      assert.deepStrictEqual(run(source, { backend, globals }), {
+        output: "oops\n[object Object]\nbad type\n",
+        error: null
+      });
+    }
+  },
+  {
+    name: "objects and arrays given as globals become maps and lists",
+    check: (backend) => {
+      const globals = { cfg: { a: 1, nested: { b: [2, { c: 3 }] } }, items: [[1, 2], { d: 4 }] };
+      const source = `
+        print cfg;
+        print cfg["a"] + cfg["nested"]["b"][1]["c"];
+        print items;
+        print len(items[1]);
+      `;
+      assert.deepStrictEqual(run(source, { backend, globals }), {
+        output: '{"a": 1, "nested": {"b": [2, {"c": 3}]}}\n4\n[[1, 2], {"d": 4}]\n1\n',
+        error: null
+      });
+    }
+  },
+  {
+    name: "functions inside host values and returned by natives can be called",
+    check: (backend) => {
+      const globals = {
+        math: { double: (x) => x * 2 },
+        handlers: [() => "first"],
+        makeAdder: (n) => (x) => x + n,
+        makeRecord: () => ({ name: "Ana", greet: () => "oi" })
+      };
+      const source = `
+        print math["double"](4);
+        print handlers[0]();
+        var add = makeAdder(10);
+        print add;
+        print add(5);
+        print makeRecord()["greet"]();
+      `;
+      assert.deepStrictEqual(run(source, { backend, globals }), {
+        output: "8\nfirst\n<native fn>\n15\noi\n",
+        error: null
+      });
+    }
+  },
+  {
+    name: "lists that need no conversion are shared with the host",
+    check: (backend) => {
+      const items = [1, 2];
+      run("items[0] = 3;", { backend, globals: { items } });
+      assert.deepStrictEqual(items, [3, 2]);
+    }
+  },
+  {
+    name: "host values scripts can't use are rejected",
+    check: (backend) => {
+      assert.throws(
+        () => createOxente({ backend, globals: { cfg: { started: new Date(0) } } }),
+        { name: "TypeError", message: "'cfg.started' is a Date, which scripts can't use." }
+      );
+      const globals = { now: () => new Date(0), big: () => [1n] };
+      const source = `
+        try { now(); } catch (e) { print e.message; }
+        big();
+      `;
+      assert.deepStrictEqual(run(source, { backend, globals }), {
+        output: "'now()' is a Date, which scripts can't use.\n",
+        error: "'big()[0]' is a bigint, which scripts can't use."
+      });
+    }
+  }
+];
+
+function main() {
+  let failures = 0;
+  let total = 0;
+  for (const { name, check } of CHECKS) {
+    for (const backend of BACKENDS) {
+      total++;
+      try {
+        check(backend);
+        console.log(`ok   ${name} (${backend})`);
+      } catch (error) {
+        failures++;
+        console.log(`FAIL ${name} (${backend})`);
+        console.log(`    ${error.message.split("\n").join("\n    ")}`);
+      }
+    }
+  }
+
+  console.log(`\n${total - failures} of ${total} engine checks passed.`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
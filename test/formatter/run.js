@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Checks the Formatter on a few layouts that are easy to get wrong, and then
+ * formats every script in this directory and in `test/conformance`, checking
+ * that formatting again changes nothing, that every comment is kept, in order,
+ * and that the formatted script prints the same output as the original.
+ *
+ * Usage: node test/formatter/run.js
+ */
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+const { createOxente, Scanner } = require('../../src/index');
+
+const CONFORMANCE_DIRECTORY = path.join(__dirname, "../conformance");
+const OPTIONS_PREFIX = "// options:";
+
+/**
+ * Sources and the layout the Formatter must give them.
+ */
+const CASES = [
+  {
+    name: "comment before a loop body",
+    source: "while (a) // comment before body\n  a = nil;\n",
+    expected: "while (a) // comment before body\n  a = nil;\n"
+  },
+  {
+    name: "comment before a semicolon",
+    source: "print \"end\" /* inline */ ;\n",
+    expected: "print \"end\" /* inline */;\n"
+  },
+  {
+    name: "comment inside an expression",
+    source: "var x = 1 +   // one\n      2;\n",
+    expected: "var x = 1 + // one\n  2;\n"
+  },
+  {
+    name: "comment at the end of a line",
+    source: "print 1;    // one\n\n\n\nprint 2;\n",
+    expected: "print 1; // one\n\nprint 2;\n"
+  },
+  {
+    name: "comment before a closing brace",
+    source: "fun f() {\n  return 1;\n  // done\n}\n",
+    expected: "fun f() {\n  return 1;\n  // done\n}\n"
+  },
+  {
+    name: "line comment before a semicolon",
+    source: "var x = [\n 1, // one\n 2 // two\n];\n",
+    expected: "var x = [1, // one\n  2] // two\n  ;\n"
+  },
+  {
+    name: "line comment between a closing brace and 'else'",
+    source: "if (a) {\n  print 1;\n} // after then\nelse {\n  print 2;\n}\n",
+    expected: "if (a) {\n  print 1;\n} else // after then\n  {\n    print 2;\n  }\n"
+  }
+];
+
+/**
+ * @param {string} source
+ * @returns {string[]} The text of every comment in the source, in order.
+ */
+function comments(source) {
+  const tokens = new Scanner(source, () => {}, null, { keepComments: true }).scanTokens();
+  return tokens.flatMap((token) => token.trivia ?? []).map((comment) => comment.lexeme);
+}
+
+/**
+ * Runs a script the way the conformance suite does.
+ * @param {string} source
+ * @param {string} file Where the script is, for its imports.
+ * @returns {string} The output and how the run ended.
+ */
+function run(source, file) {
+  const firstLine = source.split("\n", 1)[0];
+  const options = firstLine.startsWith(OPTIONS_PREFIX)
+    ? JSON.parse(firstLine.slice(OPTIONS_PREFIX.length))
+    : {};
+  const oxente = createOxente({
+    randomSeed: 1,
+    readLine: () => null,
+    fileSystem: { root: CONFORMANCE_DIRECTORY },
+    ...options,
+    stderr: { write: () => {} }
+  });
+  const result = oxente.run(source, file);
+  return `${result.output}--- ${result.runtimeError?.code ?? (result.ok ? "ok" : "compile error")}`;
+}
+
+/**
+ * @param {string} file
+ */
+function checkRoundTrip(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const formatted = createOxente().format(source, file);
+  assert.ok(formatted.ok, "the script should parse");
+  assert.strictEqual(createOxente().format(formatted.output, file).output, formatted.output,
+    "formatting twice should change nothing");
+  assert.deepStrictEqual(comments(formatted.output), comments(source), "every comment should be kept");
+  assert.strictEqual(run(formatted.output, file), run(source, file), "the output should be the same");
+}
+
+function main() {
+  const checks = CASES.map(({ name, source, expected }) => ({
+    name,
+    check: () => {
+      assert.strictEqual(createOxente().format(source).output, expected);
+      assert.strictEqual(createOxente().format(expected).output, expected, "formatting twice should change nothing");
+    }
+  }));
+  for (const directory of [__dirname, CONFORMANCE_DIRECTORY]) {
+    for (const name of fs.readdirSync(directory).filter((name) => name.endsWith(".oxe")).sort()) {
+      const file = path.join(directory, name);
+      checks.push({ name: path.relative(path.join(__dirname, ".."), file), check: () => checkRoundTrip(file) });
+    }
+  }
+
+  let failures = 0;
+  for (const { name, check } of checks) {
+    try {
+      check();
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(`    ${error.message.split("\n").join("\n    ")}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failures} of ${checks.length} formatter checks passed.`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
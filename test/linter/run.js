@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Checks what the Linter reports for each rule, and which lines each form of
+ * disable comment silences.
+ *
+ * Usage: node test/linter/run.js
+ */
+const assert = require('assert');
+
+const { createOxente } = require('../../src/index');
+
+/**
+ * Sources and the findings the Linter must report for them, written as
+ * `<line>:<column> <severity>[<code>] <message>`.
+ */
+const CASES = [
+  // Rules:
+  {
+    name: "unused-variable",
+    source: `var unused = 1;
+var _ignored = 2;
+var used = 3;
+print used;
+fun f() {
+  var local = 4;
+}
+f();
+`,
+    expected: [
+      "1:5 warning[E0400] Variable 'unused' is never used.",
+      "6:7 warning[E0400] Variable 'local' is never used."
+    ]
+  },
+  {
+    name: "unused-parameter",
+    source: `fun area(width, height, _depth) {
+  return width * 2;
+}
+print area(1, 2, 3);
+print (fun (a) { return 1; })(2);
+`,
+    expected: [
+      "1:17 warning[E0401] Parameter 'height' is never used.",
+      "5:13 warning[E0401] Parameter 'a' is never used."
+    ]
+  },
+  {
+    name: "shadowed-name",
+    source: `var count = 0;
+fun show(count) {
+  print count;
+  {
+    var count = 1;
+    print count;
+  }
+}
+show(count);
+`,
+    expected: [
+      "2:10 warning[E0402] 'count' shadows the variable declared on line 1.",
+      "5:9 warning[E0402] 'count' shadows the parameter declared on line 2."
+    ]
+  },
+  {
+    name: "assignment-in-condition",
+    source: `var x = 1;
+if (x = 2) print x;
+while ((x = nil)) print x;
+for (; x = nil;) print x;
+`,
+    expected: [
+      "2:5 warning[E0403] Assignment used as a condition.",
+      "4:8 warning[E0403] Assignment used as a condition."
+    ]
+  },
+  {
+    name: "unreachable-code",
+    source: `fun f() {
+  return 1;
+  print "never";
+  print "reported once";
+}
+while (true) {
+  break;
+  print "never";
+}
+print f();
+`,
+    expected: [
+      "3:3 warning[E0404] Unreachable code.",
+      "8:3 warning[E0404] Unreachable code."
+    ]
+  },
+  {
+    name: "call-arity",
+    source: `fun area(width, height) {
+  return width * height;
+}
+print area(1);
+print area(1, 2);
+print area(1, 2, 3);
+`,
+    expected: [
+      "4:7 warning[E0405] Expected 2 arguments but got 1.",
+      "6:7 warning[E0405] Expected 2 arguments but got 3."
+    ]
+  },
+  {
+    name: "mismatched-comparison",
+    source: `print 1 == "1";
+print nil != false;
+print 1 < "2";
+print 1 == 2;
+print "a" != "b";
+`,
+    expected: [
+      "1:7 warning[E0406] Comparison between a number and a string.",
+      "2:7 warning[E0406] Comparison between nil and a boolean.",
+      "3:7 warning[E0406] Comparison between a number and a string."
+    ]
+  },
+  {
+    name: "configured levels",
+    rules: { "unused-variable": "error", "unreachable-code": "off" },
+    source: `var unused = 1;
+fun f() {
+  return 1;
+  print "never";
+}
+print f();
+print nil == 0;
+`,
+    expected: [
+      "1:5 error[E0400] Variable 'unused' is never used.",
+      "7:7 warning[E0406] Comparison between nil and a number."
+    ]
+  },
+
+  // Disable comments:
+  {
+    name: "oxente-disable and oxente-enable with rules",
+    source: `var before = 1;
+// oxente-disable unused-variable
+var silenced = 2;
+if (silenced = 3) print "other rules still apply";
+// oxente-enable unused-variable
+var after = 4;
+`,
+    expected: [
+      "1:5 warning[E0400] Variable 'before' is never used.",
+      "4:5 warning[E0403] Assignment used as a condition.",
+      "6:5 warning[E0400] Variable 'after' is never used."
+    ]
+  },
+  {
+    name: "oxente-disable and oxente-enable without rules",
+    source: `// oxente-disable
+var silenced = 1;
+print 1 == "1";
+// oxente-enable
+var after = 2;
+// oxente-disable
+var untilTheEnd = 3;
+`,
+    expected: [
+      "5:5 warning[E0400] Variable 'after' is never used."
+    ]
+  },
+  {
+    name: "oxente-disable-line",
+    source: `var silenced = 1; // oxente-disable-line
+var reported = 2;
+var other = 3; print 1 == "1"; // oxente-disable-line unused-variable
+`,
+    expected: [
+      "2:5 warning[E0400] Variable 'reported' is never used.",
+      "3:22 warning[E0406] Comparison between a number and a string."
+    ]
+  },
+  {
+    name: "oxente-disable-next-line",
+    source: `// oxente-disable-next-line unused-variable, shadowed-name
+var silenced = 1;
+var reported = 2;
+// oxente-disable-next-line
+print 1 == "1";
+print 2 == "2";
+`,
+    expected: [
+      "3:5 warning[E0400] Variable 'reported' is never used.",
+      "6:7 warning[E0406] Comparison between a number and a string."
+    ]
+  }
+];
+
+/**
+ * @param {string} source
+ * @param {object} [rules]
+ * @returns {string[]} The findings, written the way the cases expect them.
+ */
+function lint(source, rules = {}) {
+  const { diagnostics } = createOxente().lint(source, "case.oxe", rules);
+  return diagnostics.map(({ span, severity, code, message }) =>
+    `${span.line}:${span.column} ${severity}[${code}] ${message}`);
+}
+
+function main() {
+  let failures = 0;
+  for (const { name, source, rules, expected } of CASES) {
+    try {
+      assert.deepStrictEqual(lint(source, rules), expected);
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL ${name}`);
+      console.log(`    ${error.message.split("\n").join("\n    ")}`);
+    }
+  }
+
+  console.log(`\n${CASES.length - failures} of ${CASES.length} linter checks passed.`);
+  if (failures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * Starts the language server the way an editor does, as `oxente lsp` talking
+ * over standard input and output, and checks its answers to a short editing
+ * session on one document.
+ *
+ * Usage: node test/lsp/run.js
+ */
+const path = require('path');
+const assert = require('assert');
+const { spawn } = require('child_process');
+
+const URI = "file:///tmp/shapes.oxe";
+
+const BROKEN = `var side = 3
+print side;
+`;
+
+const BROKEN_BLOCK = `fun f() {
+  var = 1;
+  return 2;
+}
+`;
+
+const SOURCE = `fun area(width, height) {
+  return width * height;
+}
+
+class Square {
+  init(side) {
+    this.side = side;
+  }
+
+  area() {
+    return area(this.side, this.side);
+  }
+}
+
+var square = Square(3);
+print square.area();
+print area(2, 5);
+`;
+
+/**
+ * A client that sends messages to the server and waits for its answers.
+ */
+class Client {
+  constructor(server) {
+    this.server = server;
+    this.nextId = 1;
+    this.buffer = Buffer.alloc(0);
+    this.pending = new Map();
+    this.notifications = [];
+    this.waiting = null;
+    server.stdout.on('data', (chunk) => this.receive(chunk));
+  }
+
+  request(method, params) {
+    const id = this.nextId++;
+    this.send({ jsonrpc: "2.0", id, method, params });
+    return new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: "2.0", method, params });
+  }
+
+  /**
+   * Waits for the next notification with a method.
+   */
+  nextNotification(method) {
+    const index = this.notifications.findIndex((message) => message.method === method);
+    if (index !== -1) return Promise.resolve(this.notifications.splice(index, 1)[0].params);
+    return new Promise((resolve) => {
+      this.waiting = { method, resolve };
+    });
+  }
+
+  send(message) {
+    const body = JSON.stringify(message);
+    this.server.stdin.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (true) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+      const length = Number(/Content-Length: *(\d+)/i.exec(this.buffer.subarray(0, headerEnd).toString())[1]);
+      if (this.buffer.length < headerEnd + 4 + length) return;
+
+      const message = JSON.parse(this.buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString('utf8'));
+      this.buffer = this.buffer.subarray(headerEnd + 4 + length);
+
+      if ("id" in message && this.pending.has(message.id)) {
+        const { resolve, reject } = this.pending.get(message.id);
+        this.pending.delete(message.id);
+        if ("error" in message) reject(new Error(message.error.message));
+        else resolve(message.result);
+      } else if (this.waiting !== null && this.waiting.method === message.method) {
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve(message.params);
+      } else {
+        this.notifications.push(message);
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} needle
+ * @param {number} [occurrence=0] Which occurrence of the needle, counting from 0.
+ * @returns {{ line: number, character: number }} The position of the needle in the text.
+ */
+function positionOf(text, needle, occurrence = 0) {
+  let offset = -1;
+  for (let i = 0; i <= occurrence; i++) offset = text.indexOf(needle, offset + 1);
+  const before = text.slice(0, offset);
+  const line = before.split("\n").length - 1;
+  return { line, character: offset - (before.lastIndexOf("\n") + 1) };
+}
+
+async function session(client) {
+  const document = { uri: URI };
+
+  const { capabilities } = await client.request("initialize", { processId: null, rootUri: null, capabilities: {} });
+  assert.strictEqual(capabilities.definitionProvider, true);
+  client.notify("initialized", {});
+  console.log("ok   initialize");
+
+  client.notify("textDocument/didOpen", { textDocument: { uri: URI, languageId: "oxente", version: 1, text: BROKEN } });
+  let diagnostics = (await client.nextNotification("textDocument/publishDiagnostics")).diagnostics;
+  assert.strictEqual(diagnostics.length, 1);
+  assert.match(diagnostics[0].message, /Expect ';' after variable declaration/);
+  assert.deepStrictEqual(diagnostics[0].range.start, { line: 1, character: 0 });
+  console.log("ok   diagnostics on open");
+
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: URI, version: 2 },
+    contentChanges: [{ text: BROKEN_BLOCK }]
+  });
+  diagnostics = (await client.nextNotification("textDocument/publishDiagnostics")).diagnostics;
+  assert.strictEqual(diagnostics.length, 1);
+  assert.match(diagnostics[0].message, /Expect variable name/);
+  assert.deepStrictEqual(diagnostics[0].range.start, { line: 1, character: 6 });
+  const partialSymbols = await client.request("textDocument/documentSymbol", { textDocument: document });
+  assert.deepStrictEqual(partialSymbols.map((symbol) => symbol.name), ["f"]);
+  console.log("ok   diagnostics for an error inside a block");
+
+  client.notify("textDocument/didChange", {
+    textDocument: { uri: URI, version: 3 },
+    contentChanges: [{ text: SOURCE }]
+  });
+  diagnostics = (await client.nextNotification("textDocument/publishDiagnostics")).diagnostics;
+  assert.deepStrictEqual(diagnostics, []);
+  console.log("ok   diagnostics on change");
+
+  const call = positionOf(SOURCE, "area(2, 5)");
+  const definition = await client.request("textDocument/definition", { textDocument: document, position: call });
+  assert.deepStrictEqual(definition, [{
+    uri: URI,
+    range: { start: { line: 0, character: 4 }, end: { line: 0, character: 8 } }
+  }]);
+  console.log("ok   definition");
+
+  const references = await client.request("textDocument/references", {
+    textDocument: document, position: positionOf(SOURCE, "width"), context: { includeDeclaration: true }
+  });
+  assert.deepStrictEqual(references.map(({ range }) => range.start.line), [0, 1]);
+  console.log("ok   references");
+
+  const hover = await client.request("textDocument/hover", { textDocument: document, position: call });
+  assert.strictEqual(hover.contents.value, "```oxente\nfun area(width, height)\n```");
+  const methodHover = await client.request("textDocument/hover", {
+    textDocument: document, position: positionOf(SOURCE, "area();")
+  });
+  assert.strictEqual(methodHover.contents.value, "```oxente\nSquare.area()\n```");
+  console.log("ok   hover");
+
+  const symbols = await client.request("textDocument/documentSymbol", { textDocument: document });
+  assert.deepStrictEqual(symbols.map((symbol) => symbol.name), ["area", "Square", "square"]);
+  assert.deepStrictEqual(symbols[1].children.map((symbol) => symbol.name), ["init", "area"]);
+  console.log("ok   document symbols");
+
+  const completion = await client.request("textDocument/completion", {
+    textDocument: document, position: positionOf(SOURCE, "width * height")
+  });
+  const labels = completion.map((item) => item.label);
+  for (const label of ["width", "height", "area", "Square", "square", "while", "clock"]) {
+    assert.ok(labels.includes(label), `completion is missing '${label}'`);
+  }
+  const methods = await client.request("textDocument/completion", {
+    textDocument: document, position: positionOf(SOURCE, "side = side")
+  });
+  assert.deepStrictEqual(methods.map((item) => item.label).sort(), ["area", "init"]);
+  console.log("ok   completion");
+
+  await client.request("shutdown", null);
+  client.notify("exit", null);
+}
+
+function main() {
+  const server = spawn(process.execPath, [path.join(__dirname, "../../src/Oxente.js"), "lsp"], {
+    stdio: ["pipe", "pipe", "inherit"]
+  });
+  const client = new Client(server);
+
+  const timeout = setTimeout(() => {
+    console.log("FAIL the server stopped answering");
+    server.kill();
+    process.exit(1);
+  }, 10000);
+
+  const exited = new Promise((resolve) => server.on('exit', resolve));
+  session(client)
+    .then(() => exited)
+    .then((code) => {
+      clearTimeout(timeout);
+      assert.strictEqual(code, 0, "the server should exit with 0 after a shutdown");
+      console.log("ok   shutdown and exit");
+    })
+    .catch((error) => {
+      clearTimeout(timeout);
+      console.log(`FAIL ${error.message}`);
+      server.kill();
+      process.exitCode = 1;
+    });
+}
+
+main();